@@ -4,21 +4,296 @@
     // from arcaid-globals.d.ts, or defined locally if not meant to be global.
     // Local UserState definition (if different from global) or rely on global UserState
     // interface UserState { ... } // Removed if identical to global UserState
+    // --- Errors ---
+    // Every error the SDK rejects with is an ArcaidError carrying a stable `code`, so games can branch on
+    // the code instead of parsing messages. Errors reported by the platform keep its payload in `details`.
+    const ArcaidErrorCode = Object.freeze({
+        TIMEOUT: "TIMEOUT",
+        NO_PARENT: "NO_PARENT",
+        NOT_READY: "NOT_READY",
+        INVALID_ARGUMENT: "INVALID_ARGUMENT",
+        INVALID_RESPONSE: "INVALID_RESPONSE",
+        UNAUTHORIZED: "UNAUTHORIZED",
+        SESSION_EXPIRED: "SESSION_EXPIRED",
+        INSUFFICIENT_FUNDS: "INSUFFICIENT_FUNDS",
+        ROOM_FULL: "ROOM_FULL",
+        ROOM_NOT_FOUND: "ROOM_NOT_FOUND",
+        SECURITY_ERROR: "SECURITY_ERROR",
+        SDK_LOAD_FAILED: "SDK_LOAD_FAILED",
+        INCOMPATIBLE_SDK_VERSION: "INCOMPATIBLE_SDK_VERSION",
+        CANCELLED: "CANCELLED",
+        UNSUPPORTED: "UNSUPPORTED",
+        CONFLICT: "CONFLICT",
+        STORAGE_LIMIT_EXCEEDED: "STORAGE_LIMIT_EXCEEDED",
+        PLATFORM_ERROR: "PLATFORM_ERROR",
+        UNKNOWN: "UNKNOWN",
+    });
+    // Codes that are worth retrying unless the platform says otherwise.
+    const RETRYABLE_ERROR_CODES = new Set([ArcaidErrorCode.TIMEOUT]);
+    // When loaded by arcaid-loader.js, the base classes are the loader's, so errors the loader threw during the
+    // handshake and errors thrown here share one hierarchy. The classes below are used when the core SDK runs alone.
+    const loaderErrors = window.Arcaid && typeof window.Arcaid.ArcaidError === 'function' ? window.Arcaid : null;
+    const ArcaidError = loaderErrors ? loaderErrors.ArcaidError : class ArcaidError extends Error {
+        /**
+         * @param code One of ArcaidErrorCode.
+         * @param message Human-readable description.
+         * @param options.details The platform's original error payload, if any.
+         * @param options.retryable Whether retrying the same call may succeed. Defaults by code.
+         * @param options.cause The underlying error, if any.
+         */
+        constructor(code, message, options) {
+            super(message);
+            this.name = "ArcaidError";
+            this.code = code;
+            this.details = options && options.details !== undefined ? options.details : null;
+            this.retryable = options && typeof options.retryable === 'boolean' ? options.retryable : RETRYABLE_ERROR_CODES.has(code);
+            if (options && options.cause !== undefined) {
+                this.cause = options.cause;
+            }
+        }
+    };
+    class ArcaidTimeoutError extends ArcaidError {
+        constructor(message, options) {
+            super(ArcaidErrorCode.TIMEOUT, message, options);
+            this.name = "ArcaidTimeoutError";
+        }
+    }
+    class ArcaidValidationError extends ArcaidError {
+        constructor(message, options) {
+            super(ArcaidErrorCode.INVALID_ARGUMENT, message, options);
+            this.name = "ArcaidValidationError";
+        }
+    }
+    class ArcaidPlatformError extends ArcaidError {
+        constructor(code, message, options) {
+            super(code, message, options);
+            this.name = "ArcaidPlatformError";
+        }
+    }
+    /**
+     * Thrown when communication with the platform is attempted without a verified platform origin.
+     * The loader's class when the loader is present.
+     */
+    const ArcaidSecurityError = loaderErrors && typeof loaderErrors.ArcaidSecurityError === 'function' ? loaderErrors.ArcaidSecurityError : class ArcaidSecurityError extends ArcaidError {
+        constructor(message, origin) {
+            super(ArcaidErrorCode.SECURITY_ERROR, message, { retryable: false });
+            this.name = "ArcaidSecurityError";
+            this.origin = origin;
+        }
+    };
+    // Platforms that don't send a code yet only send a message; infer the closest code from it.
+    const PLATFORM_ERROR_MESSAGE_PATTERNS = [
+        [/insufficient (funds|balance)/i, ArcaidErrorCode.INSUFFICIENT_FUNDS],
+        [/room (is )?(full|locked)|full or locked/i, ArcaidErrorCode.ROOM_FULL],
+        [/room not found|no room/i, ArcaidErrorCode.ROOM_NOT_FOUND],
+        [/session expired/i, ArcaidErrorCode.SESSION_EXPIRED],
+        [/unauthori[sz]ed|not logged in|login required/i, ArcaidErrorCode.UNAUTHORIZED],
+    ];
+    /**
+     * Builds an ArcaidPlatformError from an error response of the platform.
+     * `error` may be a string, an Error, or an object like `{ code, message, retryable }`.
+     */
+    function createPlatformError(error, responseType) {
+        const info = error && typeof error === 'object' && !(error instanceof Error) ? error : {};
+        const message = info.message ? String(info.message) :
+            error instanceof Error ? error.message :
+                (typeof error === 'string' && error) ? error :
+                    `Platform operation failed with type ${responseType}`;
+        let code = typeof info.code === 'string' && ArcaidErrorCode[info.code] ? info.code : null;
+        if (!code) {
+            const match = PLATFORM_ERROR_MESSAGE_PATTERNS.find(([pattern]) => pattern.test(message));
+            code = match ? match[1] : ArcaidErrorCode.PLATFORM_ERROR;
+        }
+        return new ArcaidPlatformError(code, message, {
+            details: error,
+            retryable: typeof info.retryable === 'boolean' ? info.retryable : undefined,
+            cause: error instanceof Error ? error : undefined,
+        });
+    }
+    // --- Logging ---
+    // All SDK output goes through `logger`, whose level follows the `debug` init option: warnings and errors by
+    // default, everything in debug mode. Logged values are redacted so session tokens never reach the console.
+    const LOG_LEVELS = Object.freeze({ silent: 0, error: 1, warn: 2, info: 3, debug: 4 });
+    const REDACTED_KEY_PATTERN = /(token|secret|password|signature|nonce|authorization)$/i;
+    const JWT_PATTERN = /^[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}$/;
+    const REDACTED = "[redacted]";
+    /**
+     * Returns a copy of `value` that is safe to log: values under credential-like keys (sessionToken,
+     * reconnectToken, nonce, ...) and JWT-like strings are replaced. Class instances are returned as they are.
+     */
+    function redact(value, seen = new WeakSet()) {
+        if (typeof value === 'string') {
+            return JWT_PATTERN.test(value) ? REDACTED : value;
+        }
+        if (!value || typeof value !== 'object' || value instanceof Error) {
+            return value;
+        }
+        if (seen.has(value)) {
+            return "[circular]";
+        }
+        seen.add(value);
+        if (Array.isArray(value)) {
+            return value.map(item => redact(item, seen));
+        }
+        const prototype = Object.getPrototypeOf(value);
+        if (prototype !== Object.prototype && prototype !== null) {
+            return value;
+        }
+        const copy = {};
+        Object.keys(value).forEach(key => {
+            copy[key] = REDACTED_KEY_PATTERN.test(key) && value[key] ? REDACTED : redact(value[key], seen);
+        });
+        return copy;
+    }
+    /**
+     * Resolves the `debug` init option, `true` or `{ level, overlay }`, to a log level and overlay flag.
+     */
+    function resolveDebugOptions(debug) {
+        const options = debug && typeof debug === 'object' ? debug : {};
+        const defaultLevel = debug ? "debug" : "warn";
+        const level = options.level !== undefined ? options.level : defaultLevel;
+        if (LOG_LEVELS[level] === undefined) {
+            throw new ArcaidValidationError(`Arcaid SDK: debug.level must be one of ${Object.keys(LOG_LEVELS).join(", ")}.`);
+        }
+        return { level, overlay: Boolean(options.overlay) };
+    }
+    class ArcaidLogger {
+        constructor() {
+            this.level = LOG_LEVELS.warn;
+        }
+        setLevel(level) {
+            this.level = LOG_LEVELS[level];
+        }
+        isEnabled(level) {
+            return LOG_LEVELS[level] <= this.level;
+        }
+        error(...args) {
+            this._write("error", console.error, args);
+        }
+        warn(...args) {
+            this._write("warn", console.warn, args);
+        }
+        info(...args) {
+            this._write("info", console.info, args);
+        }
+        // console.log rather than console.debug, which browsers hide unless verbose output is enabled.
+        debug(...args) {
+            this._write("debug", console.log, args);
+        }
+        _write(level, write, args) {
+            if (this.isEnabled(level)) {
+                write.apply(console, args.map(arg => redact(arg)));
+            }
+        }
+    }
+    const logger = new ArcaidLogger();
+    const DEFAULT_REQUEST_TIMEOUT_MS = 30000;
+    const REQUEST_RETRY_BASE_DELAY_MS = 500;
+    const REQUEST_RETRY_MAX_DELAY_MS = 4000;
+    /**
+     * Picks the per-call request options (timeout, signal, retries) from the options of a public module method.
+     * Retries are only allowed for idempotent requests, where sending the same request twice is harmless.
+     */
+    function toRequestOptions(options, idempotent) {
+        const requestOptions = {};
+        if (!options) {
+            return requestOptions;
+        }
+        if (options.timeout !== undefined) {
+            if (typeof options.timeout !== 'number' || !(options.timeout > 0)) {
+                throw new ArcaidValidationError("Arcaid SDK: timeout must be a positive number of milliseconds.");
+            }
+            requestOptions.timeout = options.timeout;
+        }
+        if (options.signal !== undefined) {
+            requestOptions.signal = options.signal;
+        }
+        if (options.retries) {
+            if (!idempotent) {
+                throw new ArcaidValidationError("Arcaid SDK: retries are only supported for requests that are safe to repeat.");
+            }
+            if (!Number.isInteger(options.retries) || options.retries < 0) {
+                throw new ArcaidValidationError("Arcaid SDK: retries must be a non-negative integer.");
+            }
+            requestOptions.retries = options.retries;
+        }
+        return requestOptions;
+    }
+    function createAbortError(type, signal) {
+        return new ArcaidError(ArcaidErrorCode.CANCELLED, `${type} was aborted.`, { cause: signal.reason });
+    }
+    /**
+     * Transport used when the loader doesn't provide one: postMessage to the parent frame at the pinned origin.
+     * Only messages from the parent window at that origin are delivered.
+     */
+    class ParentWindowTransport {
+        constructor(platformOrigin) {
+            this.name = "iframe";
+            this.origin = platformOrigin;
+            this.listeners = new Set();
+            this._onWindowMessage = (event) => {
+                if (!this.origin || event.origin !== this.origin || event.source !== window.parent) {
+                    return;
+                }
+                this.listeners.forEach(cb => cb(event.data));
+            };
+            window.addEventListener('message', this._onWindowMessage);
+        }
+        send(message) {
+            if (!window.parent || window.parent === window) {
+                logger.warn("Arcaid SDK: No parent window found to send message to for requestParent.");
+                throw new ArcaidError(ArcaidErrorCode.NO_PARENT, "No parent window.");
+            }
+            if (!this.origin) {
+                throw new ArcaidSecurityError(`Cannot send ${message.type}: the platform origin was not verified.`, null);
+            }
+            window.parent.postMessage(message, this.origin);
+        }
+        onMessage(callback) {
+            this.listeners.add(callback);
+            return () => this.listeners.delete(callback);
+        }
+        close() {
+            window.removeEventListener('message', this._onWindowMessage);
+            this.listeners.clear();
+        }
+    }
     // Forward declaration for the instance type
     class ArcaidSDKInstanceImpl {
         constructor(initialConfig) {
             this.pendingRequests = new Map();
-            this._internalConfig = initialConfig;
-            if (!this._internalConfig.platformOrigin) {
-                console.warn("Arcaid Core SDK: platformOrigin not set in config. Using '*' for postMessage targetOrigin, which is insecure for production. The parent platform should provide its origin during SDK initialization.");
-                this._internalConfig.platformOrigin = '*';
+            this.middlewares = [];
+            this.recorder = null;
+            this.disposed = false;
+            // The transport is kept out of the config so platform config updates can't replace it.
+            const { transport, ...config } = initialConfig;
+            this._internalConfig = config;
+            if (!this._internalConfig.platformOrigin || this._internalConfig.platformOrigin === '*') {
+                // The loader pins platformOrigin after a verified handshake. Without it we neither send to nor
+                // accept messages from the parent, instead of falling back to the insecure '*' target.
+                // Transports without an origin (MessageChannel, WebSocket) are verified by the loader instead.
+                if (!transport) {
+                    logger.warn("Arcaid Core SDK: No verified platformOrigin in config. Communication with the parent platform is disabled.");
+                }
+                this._internalConfig.platformOrigin = null;
             }
+            // A transport from the loader means the config handshake with the platform succeeded.
+            this.platformConnected = Boolean(transport || this._internalConfig.platformOrigin);
+            this.transport = transport || new ParentWindowTransport(this._internalConfig.platformOrigin);
+            this._unsubscribeTransport = this.transport.onMessage(data => {
+                if (data && data.source === "ARCAID_PLATFORM") {
+                    this._receiveFromPlatform(data);
+                }
+            });
             this.auth = new AuthModule(this, this._internalConfig); // Modules get a reference to the instance
             this.stats = new StatsModule(this, this._internalConfig);
             this.payments = new PaymentsModule(this, this._internalConfig);
             this.wallet = new WalletModule(this);
             this.utils = new UtilsModule(this, this._internalConfig);
+            this.storage = new StorageModule(this);
+            this.lifecycle = new LifecycleModule(this);
             this.multiplayer = new MultiplayerModule(this);
+            this.debugOverlay = resolveDebugOptions(config.debug).overlay ? new DebugOverlay(this) : null;
             this._readyPromise = new Promise((resolve, reject) => {
                 this._resolveReadyPromise = resolve;
                 this._rejectReadyPromise = reject;
@@ -27,10 +302,9 @@
             this._checkAndResolveReady();
         }
         _checkAndResolveReady() {
-            // Define what makes the SDK "fully ready". 
-            // For now, let's assume presence of userSession indicates readiness.
-            // Adjust this condition based on actual minimal requirements for full functionality.
-            if (this._internalConfig && this._internalConfig.userSession && this._internalConfig.userSession.sessionToken) {
+            // The SDK is ready once the platform has delivered its config, whether the player is logged in
+            // or a guest.
+            if (this._internalConfig && (this._internalConfig.userSession || this.platformConnected)) {
                 // console.log("Arcaid Core SDK is now fully ready with user session.");
                 this._resolveReadyPromise();
             }
@@ -43,10 +317,11 @@
         }
         // Method to be called by the parent frame if it has new/updated config
         _updatePlatformConfig(updatedConfigChunk) {
-            console.log("Arcaid Core SDK: _updatePlatformConfig called with:", updatedConfigChunk);
+            logger.debug("Arcaid Core SDK: _updatePlatformConfig called with:", updatedConfigChunk);
             // Merge the new chunk into the existing config
             // A simple shallow merge, extend as needed for deep merge properties
-            this._internalConfig = { ...this._internalConfig, ...updatedConfigChunk };
+            // platformOrigin stays pinned to the origin verified during the loader handshake.
+            this._internalConfig = { ...this._internalConfig, ...updatedConfigChunk, platformOrigin: this._internalConfig.platformOrigin };
             // Update modules if they need to react to config changes directly
             // For example: this.auth.handleConfigUpdate(this._internalConfig);
             this.auth.updateConfig(this._internalConfig); // Assuming AuthModule has this method
@@ -57,6 +332,44 @@
         async _initializeModules() {
             // Actual async setup for modules
             // await this.auth.initialize();
+            // Not awaited: rejoining the last room waits for the user session and must not hold up initialization.
+            this.multiplayer.initialize().catch(() => { });
+            this.storage.initialize();
+        }
+        /**
+         * Tears the instance down, e.g. before a game shell swaps to another game: stops listening to the
+         * platform, rejects pending requests with a CANCELLED error and removes every listener registered
+         * through the modules. Unsent stats events stay persisted for the next instance. Safe to call twice.
+         */
+        dispose() {
+            if (this.disposed) {
+                return;
+            }
+            this.disposed = true;
+            if (this.debugOverlay) {
+                this.debugOverlay.destroy();
+            }
+            this.recorder = null;
+            const error = new ArcaidError(ArcaidErrorCode.CANCELLED, "The Arcaid SDK instance was disposed.");
+            this.pendingRequests.forEach(deferred => deferred.reject(error));
+            this.pendingRequests.clear();
+            // Nobody may be waiting on ready(); don't turn the rejection into an unhandled one.
+            this._readyPromise.catch(() => { });
+            this._rejectReadyPromise(error);
+            this.auth.dispose();
+            this.stats.dispose();
+            this.payments.dispose();
+            this.wallet.dispose();
+            this.utils.dispose();
+            this.storage.dispose();
+            this.lifecycle.dispose();
+            this.multiplayer.dispose();
+            this._unsubscribeTransport();
+            this.transport.close();
+            if (sdkInstance === this) {
+                sdkInstance = null;
+                delete window.ArcaidCore._updateSdkConfig;
+            }
         }
         // Getter for modules to access the current config safely
         get currentConfig() {
@@ -65,11 +378,96 @@
         generateMessageId() {
             return `sdk-msg-${Date.now()}-${Math.random().toString(36).substring(2, 9)}`;
         }
-        async requestParent(type, payload, timeoutMs = 30000) {
+        /**
+         * Adds middleware around the traffic with the platform, e.g. for logging, metrics, redaction or test stubs.
+         * `middleware.request(request, next)` wraps every outgoing request ({ type, payload, options }) and returns
+         * the response payload; call `next(request)` to send it on, or return a value without calling `next` to stub it.
+         * `middleware.message(message, next)` sees every message from the platform before the SDK handles it;
+         * call `next(message)` to pass it on, or skip the call to drop it.
+         * Middleware added first runs outermost.
+         * @returns A function that removes the middleware.
+         */
+        use(middleware) {
+            if (!middleware || (typeof middleware.request !== 'function' && typeof middleware.message !== 'function')) {
+                throw new ArcaidValidationError("Arcaid SDK: use() requires a middleware with a request and/or message function.");
+            }
+            this.middlewares.push(middleware);
+            return () => {
+                const index = this.middlewares.indexOf(middleware);
+                if (index !== -1) {
+                    this.middlewares.splice(index, 1);
+                }
+            };
+        }
+        /**
+         * Starts recording every request sent to the platform and every message received from it, with timing,
+         * for replaying with `Arcaid.transports.ReplayTransport`. Start right after init for a complete trace.
+         * Restarting discards the current recording.
+         * @param options.redact Replace session tokens and other credentials in the trace. Defaults to true.
+         * @param options.maxMessages Stop recording after this many messages. Defaults to 10000.
+         */
+        startRecording(options) {
+            this.recorder = new MessageRecorder(this.currentConfig, options);
+        }
+        /**
+         * Stops recording.
+         * @returns The JSON-serializable trace, or null if nothing was being recorded.
+         */
+        stopRecording() {
+            const recorder = this.recorder;
+            this.recorder = null;
+            return recorder ? recorder.toTrace() : null;
+        }
+        /**
+         * Sends a request to the platform and resolves with its response payload.
+         * @param options.timeout How long to wait for the response, in milliseconds. Defaults to 30000.
+         *   A number is accepted for backwards compatibility.
+         * @param options.signal An AbortSignal that cancels the request; it then rejects with a CANCELLED error.
+         * @param options.retries How often to resend the request after a retryable error (e.g. a timeout).
+         *   Only use this for idempotent requests.
+         */
+        async requestParent(type, payload, options) {
+            if (this.disposed) {
+                throw new ArcaidError(ArcaidErrorCode.CANCELLED, `Cannot send ${type}: the Arcaid SDK instance was disposed.`);
+            }
+            const requestOptions = typeof options === 'number' ? { timeout: options } : { ...options };
+            const chain = this.middlewares.filter(middleware => typeof middleware.request === 'function');
+            const dispatch = (index, request) => {
+                if (index === chain.length) {
+                    return this._requestWithRetries(request);
+                }
+                return Promise.resolve(chain[index].request(request, nextRequest => dispatch(index + 1, nextRequest || request)));
+            };
+            return dispatch(0, { type, payload, options: requestOptions });
+        }
+        async _requestWithRetries(request) {
+            const { retries = 0, signal } = request.options;
+            for (let attempt = 0;; attempt++) {
+                try {
+                    return await this._sendRequest(request);
+                }
+                catch (error) {
+                    const retryable = error instanceof ArcaidError && error.retryable;
+                    if (attempt >= retries || !retryable || (signal && signal.aborted) || this.disposed) {
+                        throw error;
+                    }
+                    await wait(Math.min(REQUEST_RETRY_BASE_DELAY_MS * 2 ** attempt, REQUEST_RETRY_MAX_DELAY_MS));
+                }
+            }
+        }
+        _sendRequest(request) {
+            const { type, payload } = request;
+            const { timeout = DEFAULT_REQUEST_TIMEOUT_MS, signal } = request.options;
+            if (this.disposed) {
+                return Promise.reject(new ArcaidError(ArcaidErrorCode.CANCELLED, `Cannot send ${type}: the Arcaid SDK instance was disposed.`));
+            }
+            if (signal && signal.aborted) {
+                return Promise.reject(createAbortError(type, signal));
+            }
             const messageId = this.generateMessageId();
             const gameId = this.currentConfig.gameId;
             if (!gameId) {
-                console.error("Arcaid SDK: gameId is not available in currentConfig for requestParent call.");
+                logger.error("Arcaid SDK: gameId is not available in currentConfig for requestParent call.");
                 // Proceeding as original WalletModule did, but this might be an issue for the platform.
             }
             const requestMessage = {
@@ -81,38 +479,81 @@
             };
             const deferred = createDeferred();
             this.pendingRequests.set(messageId, deferred);
-            const targetOrigin = this.currentConfig.platformOrigin || '*';
-            if (window.parent && window.parent !== window) {
-                window.parent.postMessage(requestMessage, targetOrigin);
+            try {
+                this.transport.send(requestMessage);
+                if (this.recorder) {
+                    this.recorder.record("sent", requestMessage);
+                }
+                logger.debug(`Arcaid SDK: Sent ${type} (${messageId}):`, payload);
             }
-            else {
-                console.warn("Arcaid SDK: No parent window found to send message to for requestParent.");
-                deferred.reject(new Error("No parent window."));
+            catch (error) {
                 this.pendingRequests.delete(messageId);
+                deferred.reject(error instanceof ArcaidError ? error : new ArcaidError(ArcaidErrorCode.UNKNOWN, `Sending ${type} failed: ${error && error.message}`, { cause: error }));
                 return deferred.promise;
             }
-            setTimeout(() => {
+            const timer = setTimeout(() => {
                 if (this.pendingRequests.has(messageId)) {
-                    this.pendingRequests.get(messageId)?.reject(new Error(`Request timed out for ${type}: ${messageId}`));
+                    this.pendingRequests.get(messageId)?.reject(new ArcaidTimeoutError(`Request timed out for ${type}: ${messageId}`));
                     this.pendingRequests.delete(messageId);
                 }
-            }, timeoutMs);
+            }, timeout);
+            const onAbort = () => {
+                if (this.pendingRequests.get(messageId) === deferred) {
+                    this.pendingRequests.delete(messageId);
+                    deferred.reject(createAbortError(type, signal));
+                }
+            };
+            if (signal) {
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+            const sentAt = Date.now();
+            const cleanup = () => {
+                clearTimeout(timer);
+                if (signal) {
+                    signal.removeEventListener('abort', onAbort);
+                }
+            };
+            deferred.promise.then(response => {
+                cleanup();
+                logger.debug(`Arcaid SDK: ${type} (${messageId}) answered in ${Date.now() - sentAt}ms:`, response);
+            }, error => {
+                cleanup();
+                logger.debug(`Arcaid SDK: ${type} (${messageId}) failed after ${Date.now() - sentAt}ms:`, error);
+            });
             return deferred.promise;
         }
+        // Runs incoming platform messages through the message middleware before handling them.
+        _receiveFromPlatform(message) {
+            if (this.recorder) {
+                this.recorder.record("received", message);
+            }
+            const chain = this.middlewares.filter(middleware => typeof middleware.message === 'function');
+            const dispatch = (index, current) => {
+                if (index === chain.length) {
+                    this._handleMessageFromPlatform(current);
+                    return;
+                }
+                chain[index].message(current, nextMessage => dispatch(index + 1, nextMessage || current));
+            };
+            try {
+                dispatch(0, message);
+            }
+            catch (error) {
+                logger.error("Arcaid SDK: Error while handling a platform message:", error);
+            }
+        }
         _resolvePendingRequest(data) {
             if (!data.messageId || !this.pendingRequests.has(data.messageId)) {
                 return false;
             }
             const deferred = this.pendingRequests.get(data.messageId);
             const payload = data.payload;
-            if (payload && typeof payload === 'object' && payload.hasOwnProperty('error') && payload.error !== undefined && payload.error !== null) {
-                deferred.reject(payload.error instanceof Error ? payload.error : new Error(String(payload.error)));
+            if (payload && typeof payload === 'object' && payload.error !== undefined && payload.error !== null) {
+                deferred.reject(createPlatformError(payload.error, data.type));
             }
-            else if (data.type.includes("ERROR") || data.type.endsWith("_FAILED") || data.type.endsWith("_ERROR_RESPONSE")) {
-                const errorMessage = (payload && typeof payload === 'object' && payload.message) ? String(payload.message) :
-                    (typeof payload === 'string' && payload) ? payload :
-                        `Platform operation failed with type ${data.type}`;
-                deferred.reject(new Error(errorMessage));
+            else if (data.type.includes("ERROR") || data.type.endsWith("_FAILED")) {
+                // Error response types (e.g. BET_ERROR, *_ERROR_RESPONSE) carry the error itself as the payload.
+                deferred.reject(createPlatformError(payload, data.type));
             }
             else {
                 deferred.resolve(payload);
@@ -125,9 +566,21 @@
                 return;
             }
             if (data.type === "ARCAID_UPDATE_USER_SESSION") {
-                console.log('[ArcaidCoreSDK] Received ARCAID_UPDATE_USER_SESSION from parent:', data.payload);
+                logger.debug('[ArcaidCoreSDK] Received ARCAID_UPDATE_USER_SESSION from parent:', data.payload);
                 this._updatePlatformConfig(data.payload);
             }
+            else if (data.type && data.type.startsWith("WALLET_")) {
+                this.wallet.handlePlatformMessage(data);
+            }
+            else if (data.type && data.type.startsWith("PAYMENTS_")) {
+                this.payments.handlePlatformMessage(data);
+            }
+            else if (data.type && data.type.startsWith("UTILS_")) {
+                this.utils.handlePlatformMessage(data);
+            }
+            else if (data.type && data.type.startsWith("LIFECYCLE_")) {
+                this.lifecycle.handlePlatformMessage(data);
+            }
             else if (data.type && data.type.startsWith("MULTIPLAYER_")) {
                 // Route to MultiplayerModule to handle its specific messages (likely events not caught by _resolvePendingRequest)
                 this.multiplayer.handlePlatformMessage(data);
@@ -149,169 +602,1897 @@
     // UserState and ArcaidCoreSDKLocal are now in arcaid-globals.d.ts
     // declare global block is now in arcaid-globals.d.ts
     // Placeholder for module classes - replace with actual implementations
+    // Ask the platform for a fresh session this long before the current one lapses.
+    const AUTH_DEFAULT_REFRESH_LEAD_MS = 60000;
+    const AUTH_REFRESH_RETRY_DELAY_MS = 5000;
+    // Logging in and linking an account wait for the player to complete the platform's dialog.
+    const AUTH_INTERACTIVE_TIMEOUT_MS = 300000;
+    /**
+     * Returns the expiry of a user session in epoch milliseconds, or null if it is unknown.
+     * Uses `expiresAt` (epoch ms or ISO date) and falls back to the `exp` claim of a JWT session token.
+     */
+    function getSessionExpiry(session) {
+        if (!session) {
+            return null;
+        }
+        if (session.expiresAt !== undefined && session.expiresAt !== null) {
+            const expiresAt = typeof session.expiresAt === 'number' ? session.expiresAt : Date.parse(session.expiresAt);
+            return Number.isFinite(expiresAt) ? expiresAt : null;
+        }
+        const parts = typeof session.sessionToken === 'string' ? session.sessionToken.split('.') : [];
+        if (parts.length !== 3) {
+            return null;
+        }
+        try {
+            const claims = JSON.parse(atob(parts[1].replace(/-/g, '+').replace(/_/g, '/')));
+            return typeof claims.exp === 'number' ? claims.exp * 1000 : null;
+        }
+        catch (_a) {
+            return null;
+        }
+    }
+    function toUserState(session) {
+        if (!session || !session.isLoggedIn || !session.sessionToken) {
+            return {
+                isLoggedIn: false,
+                isGuest: true,
+                userId: null,
+                username: null,
+                expiresAt: null,
+            };
+        }
+        return {
+            isLoggedIn: session.isLoggedIn,
+            isGuest: false,
+            // Older platforms only send the wallet address; newer ones send a stable user ID and display name.
+            userId: session.userId || session.userWalletAddress,
+            username: session.displayName || null,
+            expiresAt: getSessionExpiry(session),
+        };
+    }
+    /**
+     * Merges the user session with the player data of GET_PLAYER_REQUEST into a single profile.
+     */
+    function toProfile(session, player) {
+        const user = (player && player.user) || {};
+        return {
+            userId: user.id || session.userId || session.userWalletAddress,
+            displayName: user.displayName || session.displayName || null,
+            avatarUrl: user.avatarUrl || session.avatarUrl || null,
+            walletAddress: user.address || session.userWalletAddress || null,
+            linkedAccounts: user.linkedAccounts || [],
+            lastLogin: user.lastLogin || null,
+        };
+    }
     class AuthModule {
         constructor(sdkInstance, initialConfig) {
+            this.authStateListeners = new Set();
+            this.refreshTimer = null;
+            this.expiryTimer = null;
+            this.refreshPromise = null;
+            this.profilePromise = null;
             this.sdkInstance = sdkInstance;
             this.config = initialConfig;
+            this.userState = toUserState(initialConfig.userSession);
+            this._lastSessionToken = initialConfig.userSession ? initialConfig.userSession.sessionToken : undefined;
+            this._scheduleSessionRefresh();
         }
         // Method for the SDK instance to push updated config to the module
         updateConfig(newConfig) {
             this.config = newConfig;
-            // console.log("AuthModule config updated.");
+            // Any session update may change the player's data, so the cached profile is refetched on next use.
+            this.profilePromise = null;
+            this._setUserState(toUserState(newConfig.userSession));
+            this._scheduleSessionRefresh();
         }
         async getUserState() {
-            // Wait for the SDK to be fully ready (including user session) before providing user state
+            // Wait for the SDK to be ready (logged in or as a guest) before providing user state
             await this.sdkInstance.ready();
-            console.log("Arcaid SDK: AuthModule.getUserState() called (SDK is ready)");
-            const session = this.sdkInstance.currentConfig.userSession; // Use the getter
-            console.log("Arcaid SDK: User session in AuthModule:", session);
-            if (!session || !session.isLoggedIn || !session.sessionToken) {
-                return {
-                    isLoggedIn: false,
-                    userId: null,
-                    username: null,
-                };
+            return { ...this.userState };
+        }
+        /**
+         * Subscribes to changes of the user's auth state: login, logout, session updates and expiry.
+         * The callback is also invoked once with the current state as soon as the SDK is ready.
+         * @param callback Receives the new user state and the reason for the change.
+         * @returns A function to unsubscribe.
+         */
+        onAuthStateChanged(callback) {
+            this.authStateListeners.add(callback);
+            this.sdkInstance.ready().then(() => {
+                if (this.authStateListeners.has(callback)) {
+                    callback({ ...this.userState }, 'initial');
+                }
+            }).catch(() => { });
+            return () => this.authStateListeners.delete(callback);
+        }
+        /**
+         * Asks the platform for a refreshed session token. Called automatically shortly before the
+         * session expires; concurrent calls share the same request.
+         * @returns The updated user state.
+         */
+        async refreshSession() {
+            if (!this.refreshPromise) {
+                this.refreshPromise = this.sdkInstance.requestParent("AUTH_REFRESH_SESSION_REQUEST", {})
+                    .then(response => {
+                    if (!response || !response.userSession) {
+                        throw new ArcaidError(ArcaidErrorCode.INVALID_RESPONSE, "Session refresh response did not include a userSession.");
+                    }
+                    this.sdkInstance._updatePlatformConfig({ userSession: response.userSession });
+                    return { ...this.userState };
+                })
+                    .finally(() => {
+                    this.refreshPromise = null;
+                });
             }
-            return {
-                isLoggedIn: session.isLoggedIn,
-                userId: session.userWalletAddress,
-                username: session.userWalletAddress ? `user-${session.userWalletAddress.substring(0, 6)}` : null,
-            };
+            return this.refreshPromise;
+        }
+        /**
+         * Gets the profile of the logged-in player, merged from the user session and the platform's player data.
+         * The profile is cached until the session changes.
+         * @param options.refresh Bypass the cache and fetch the player data again.
+         * @param options.timeout, options.signal, options.retries Request options for fetching the player data.
+         * @returns The player's profile, or null for guests.
+         */
+        async getProfile(options = {}) {
+            await this.sdkInstance.ready();
+            if (!this.userState.isLoggedIn) {
+                return null;
+            }
+            if (!this.profilePromise || options.refresh) {
+                const session = this.config.userSession;
+                const profilePromise = this.getPlayer(options).then(player => toProfile(session, player));
+                this.profilePromise = profilePromise;
+                // Don't cache failures; the next call tries again.
+                profilePromise.catch(() => {
+                    if (this.profilePromise === profilePromise) {
+                        this.profilePromise = null;
+                    }
+                });
+            }
+            const profile = await this.profilePromise;
+            return { ...profile, linkedAccounts: [...profile.linkedAccounts] };
+        }
+        async getPlayer(options) {
+            const responsePayload = await this.sdkInstance.requestParent("GET_PLAYER_REQUEST", {}, toRequestOptions(options, true));
+            return responsePayload;
         }
-        async getPlayer() {
-            const responsePayload = await this.sdkInstance.requestParent("GET_PLAYER_REQUEST", {});
+        async login(options) {
+            const responsePayload = await this.sdkInstance.requestParent("LOGIN_REQUEST", {}, { timeout: AUTH_INTERACTIVE_TIMEOUT_MS, ...toRequestOptions(options) });
             return responsePayload;
         }
-        async login() {
-            const responsePayload = await this.sdkInstance.requestParent("LOGIN_REQUEST", {});
+        /**
+         * Logs the player out of the platform. Listeners of onAuthStateChanged receive 'logout'
+         * once the platform sends the updated session.
+         */
+        async logout(options) {
+            const responsePayload = await this.sdkInstance.requestParent("AUTH_LOGOUT_REQUEST", {}, toRequestOptions(options));
+            this.profilePromise = null;
+            if (responsePayload && responsePayload.userSession) {
+                this.sdkInstance._updatePlatformConfig({ userSession: responsePayload.userSession });
+            }
             return responsePayload;
         }
+        /**
+         * Asks the platform to link another account (e.g. a wallet or a social login) to the player.
+         * The platform shows its own dialog, so this can take a while to resolve.
+         * @param type The kind of account to link, e.g. "wallet", "google" or "discord".
+         * @returns The updated profile.
+         */
+        async linkAccount(type, options) {
+            if (typeof type !== 'string' || !type) {
+                throw new ArcaidValidationError("linkAccount requires an account type.");
+            }
+            await this.sdkInstance.requestParent("AUTH_LINK_ACCOUNT_REQUEST", { type }, { timeout: AUTH_INTERACTIVE_TIMEOUT_MS, ...toRequestOptions(options) });
+            return this.getProfile({ refresh: true });
+        }
+        dispose() {
+            clearTimeout(this.refreshTimer);
+            clearTimeout(this.expiryTimer);
+            this.refreshTimer = null;
+            this.expiryTimer = null;
+            this.profilePromise = null;
+            this.authStateListeners.clear();
+        }
+        _setUserState(nextState, reason) {
+            const previous = this.userState;
+            this.userState = nextState;
+            if (!reason) {
+                if (!previous.isLoggedIn && nextState.isLoggedIn) {
+                    reason = 'login';
+                }
+                else if (previous.isLoggedIn && !nextState.isLoggedIn) {
+                    reason = 'logout';
+                }
+                else if (previous.userId !== nextState.userId || previous.expiresAt !== nextState.expiresAt ||
+                    this._lastSessionToken !== (this.config.userSession && this.config.userSession.sessionToken)) {
+                    reason = 'session_updated';
+                }
+            }
+            this._lastSessionToken = this.config.userSession ? this.config.userSession.sessionToken : undefined;
+            if (!reason) {
+                return;
+            }
+            this.authStateListeners.forEach(cb => {
+                try {
+                    cb({ ...nextState }, reason);
+                }
+                catch (e) {
+                    logger.error("[ArcaidSDK AuthModule] Error in onAuthStateChanged callback:", e);
+                }
+            });
+        }
+        _scheduleSessionRefresh() {
+            clearTimeout(this.refreshTimer);
+            clearTimeout(this.expiryTimer);
+            this.refreshTimer = null;
+            this.expiryTimer = null;
+            const expiresAt = this.userState.isLoggedIn ? this.userState.expiresAt : null;
+            if (!expiresAt) {
+                return;
+            }
+            const authConfig = this.config.auth || {};
+            const leadMs = authConfig.refreshLeadMs !== undefined ? authConfig.refreshLeadMs : AUTH_DEFAULT_REFRESH_LEAD_MS;
+            const remainingMs = expiresAt - Date.now();
+            if (remainingMs <= 0) {
+                this._expireSession();
+                return;
+            }
+            this.expiryTimer = setTimeout(() => this._expireSession(), remainingMs);
+            this.refreshTimer = setTimeout(() => this._refreshBeforeExpiry(), Math.max(0, remainingMs - leadMs));
+        }
+        _refreshBeforeExpiry() {
+            this.refreshTimer = null;
+            this.refreshSession().catch(error => {
+                logger.warn("[ArcaidSDK AuthModule] Session refresh failed:", error);
+                // Keep trying while the current session is still valid; the expiry timer handles the rest.
+                const expiresAt = this.userState.expiresAt;
+                if (this.userState.isLoggedIn && expiresAt && expiresAt - Date.now() > AUTH_REFRESH_RETRY_DELAY_MS) {
+                    this.refreshTimer = setTimeout(() => this._refreshBeforeExpiry(), AUTH_REFRESH_RETRY_DELAY_MS);
+                }
+            });
+        }
+        _expireSession() {
+            clearTimeout(this.refreshTimer);
+            this.refreshTimer = null;
+            this.expiryTimer = null;
+            if (!this.userState.isLoggedIn) {
+                return;
+            }
+            logger.warn("[ArcaidSDK AuthModule] User session expired.");
+            this._setUserState(toUserState(null), 'expired');
+        }
     }
+    const STATS_DEFAULT_BATCH_SIZE = 20;
+    const STATS_DEFAULT_FLUSH_INTERVAL_MS = 5000;
+    const STATS_DEFAULT_MAX_QUEUE_SIZE = 500;
+    const STATS_RETRY_DELAY_MS = 10000;
     class StatsModule {
-        constructor(sdkInstance, initialConfig) { }
-    }
-    class PaymentsModule {
         constructor(sdkInstance, initialConfig) {
+            this.flushTimer = null;
+            this.flushPromise = null;
             this.sdkInstance = sdkInstance;
-            // initialConfig is passed but may not be stored if all config access is via sdkInstance.currentConfig
+            const statsConfig = (initialConfig && initialConfig.stats) || {};
+            this.batchSize = statsConfig.batchSize || STATS_DEFAULT_BATCH_SIZE;
+            this.flushIntervalMs = statsConfig.flushIntervalMs || STATS_DEFAULT_FLUSH_INTERVAL_MS;
+            this.maxQueueSize = statsConfig.maxQueueSize || STATS_DEFAULT_MAX_QUEUE_SIZE;
+            // Events persisted by a previous page (e.g. the tab was closed before the parent acknowledged them)
+            // are picked up here and re-sent. Each event carries an eventId so the platform can de-duplicate.
+            this.eventQueue = this._loadQueue();
+            this.inFlightEventIds = null; // Event IDs of the batch flush() is waiting on
+            this.unloadEventIds = new Set(); // Event IDs posted by _flushOnUnload() and not acknowledged yet
+            this._onVisibilityChange = () => {
+                if (document.visibilityState === 'hidden') {
+                    this._flushOnUnload();
+                }
+                else if (this.unloadEventIds.size > 0) {
+                    // The page survived. Acknowledgements still missing by now may never come, so flush() owns those events again.
+                    this.unloadEventIds.clear();
+                    this._scheduleFlush(this.flushIntervalMs);
+                }
+            };
+            this._onPageHide = () => this._flushOnUnload();
+            document.addEventListener('visibilitychange', this._onVisibilityChange);
+            window.addEventListener('pagehide', this._onPageHide);
+            if (this.eventQueue.length > 0) {
+                this._scheduleFlush(this.flushIntervalMs);
+            }
         }
         /**
-         * Initiates a bet in a game room via the platform.
-         * @param roomDocId The ID of the room where the bet is being placed.
-         * @param amount The amount of the bet (e.g., in the smallest unit of the token like wei).
-         * @param reason An optional reason or description for the bet.
-         * @returns A promise that resolves with the bet response from the platform.
+         * Queues a game event for delivery to the platform.
+         * Events are sent in batches; the returned promise resolves once the event is queued,
+         * not when the platform has received it, so tracking never blocks the game loop.
+         * @param eventName The name of the event (e.g. "game_start").
+         * @param eventData Optional data associated with the event.
          */
-        async makeBet(roomDocId, amount, reason) {
-            if (!this.sdkInstance.currentConfig.gameId) {
-                const errorMsg = "Arcaid SDK (PaymentsModule): Cannot make bet. SDK not fully initialized or gameId missing.";
-                console.error(errorMsg);
-                // Ensure the rejection aligns with BetResponsePayload structure for consistency if caught by game developer
-                return Promise.reject({ success: false, error: errorMsg });
-            }
-            if (!roomDocId || typeof amount !== 'number' || amount <= 0) {
-                const errorMsg = "Arcaid SDK (PaymentsModule): Invalid parameters for makeBet. roomId and positive amount required.";
-                console.error(errorMsg);
-                return Promise.reject({
-                    success: false,
-                    error: errorMsg
-                });
+        async trackEvent(eventName, eventData) {
+            if (!eventName || typeof eventName !== 'string') {
+                throw new ArcaidValidationError("Arcaid SDK (StatsModule): trackEvent requires a non-empty eventName string.");
             }
-            const payload = {
-                roomDocId,
-                amount,
-                reason,
+            this.eventQueue.push({
+                eventId: this.sdkInstance.generateMessageId(),
+                eventName,
+                eventData: eventData || {},
+                timestamp: Date.now(),
+            });
+            if (this.eventQueue.length > this.maxQueueSize) {
+                // Drop the oldest events rather than growing without bound while the parent is unreachable.
+                const dropped = this.eventQueue.splice(0, this.eventQueue.length - this.maxQueueSize);
+                logger.warn(`Arcaid SDK (StatsModule): Event queue full, dropped ${dropped.length} oldest event(s).`);
+            }
+            this._persistQueue();
+            if (this.eventQueue.length >= this.batchSize) {
+                this.flush().catch(() => { });
+            }
+            else {
+                this._scheduleFlush(this.flushIntervalMs);
+            }
+        }
+        /**
+         * Sends all queued events to the platform.
+         * Events that fail to send stay queued (and persisted) and are retried later.
+         * @returns A promise that resolves when the queue is empty, or rejects with the delivery error.
+         */
+        async flush() {
+            if (this.flushPromise) {
+                return this.flushPromise;
+            }
+            this._clearFlushTimer();
+            this.flushPromise = (async () => {
+                try {
+                    for (;;) {
+                        // Events posted on unload are waiting for their own acknowledgement.
+                        const batch = this._unsentEvents(null).slice(0, this.batchSize);
+                        if (batch.length === 0) {
+                            break;
+                        }
+                        this.inFlightEventIds = new Set(batch.map(event => event.eventId));
+                        await this.sdkInstance.requestParent("STATS_TRACK_EVENTS_REQUEST", { events: batch });
+                        this._removeSent(batch);
+                    }
+                }
+                catch (error) {
+                    this._scheduleFlush(STATS_RETRY_DELAY_MS);
+                    throw error;
+                }
+                finally {
+                    this.inFlightEventIds = null;
+                    this.flushPromise = null;
+                }
+            })();
+            return this.flushPromise;
+        }
+        /**
+         * Submits a score to a leaderboard for the current player.
+         * The platform attributes the score to the logged-in player, so no user id is sent.
+         * @param leaderboardId The ID of the leaderboard (e.g. "high_scores").
+         * @param score The numeric score to submit.
+         * @param metadata Optional data stored alongside the score (e.g. level, duration).
+         * @returns A promise that resolves with the player's resulting entry on the leaderboard.
+         */
+        async submitScore(leaderboardId, score, metadata, options) {
+            if (!leaderboardId || typeof score !== 'number' || !Number.isFinite(score)) {
+                throw new ArcaidValidationError("Arcaid SDK (StatsModule): Invalid parameters for submitScore. leaderboardId and a finite numeric score required.");
+            }
+            const responsePayload = await this.sdkInstance.requestParent("STATS_SUBMIT_SCORE_REQUEST", { leaderboardId, score, metadata }, toRequestOptions(options));
+            return responsePayload;
+        }
+        /**
+         * Retrieves a page of leaderboard entries.
+         * @param leaderboardId The ID of the leaderboard.
+         * @param options Optional scope ('global', 'friends' or 'room'), period, page size and pagination cursor.
+         * @returns A promise that resolves with the entries and a cursor for the next page.
+         */
+        async getLeaderboard(leaderboardId, options) {
+            if (!leaderboardId) {
+                throw new ArcaidValidationError("Arcaid SDK (StatsModule): leaderboardId is required for getLeaderboard.");
+            }
+            const { scope = 'global', period = 'all_time', limit, cursor } = options || {};
+            if (!['global', 'friends', 'room'].includes(scope)) {
+                throw new ArcaidValidationError(`Arcaid SDK (StatsModule): Invalid leaderboard scope "${scope}".`);
+            }
+            const responsePayload = await this.sdkInstance.requestParent("STATS_GET_LEADERBOARD_REQUEST", { leaderboardId, scope, period, limit, cursor }, toRequestOptions(options, true));
+            return {
+                leaderboardId,
+                entries: (responsePayload && responsePayload.entries) || [],
+                playerEntry: (responsePayload && responsePayload.playerEntry) || null,
+                nextCursor: (responsePayload && responsePayload.nextCursor) || null,
             };
-            try {
-                // Use the centralized requestParent method from the SDK instance.
-                // The type "BET_REQUEST" must match what the parent platform expects.
-                // The response payload will be BetResponsePayload, or an error will be thrown by requestParent.
-                const response = await this.sdkInstance.requestParent("BET_REQUEST", payload);
-                return response; // requestParent now handles parsing the success/error from the payload
+        }
+        /**
+         * Retrieves aggregated stats for the current player in this game.
+         * @returns A promise that resolves with the player's stats from the platform.
+         */
+        async getPlayerStats(options) {
+            const responsePayload = await this.sdkInstance.requestParent("STATS_GET_PLAYER_STATS_REQUEST", {}, toRequestOptions(options, true));
+            return responsePayload;
+        }
+        dispose() {
+            this._clearFlushTimer();
+            document.removeEventListener('visibilitychange', this._onVisibilityChange);
+            window.removeEventListener('pagehide', this._onPageHide);
+        }
+        _flushOnUnload() {
+            // The page may be going away, so there is no time to wait for each batch's acknowledgement like flush():
+            // persist the queue and post every batch that isn't in flight yet right now. The posted events are
+            // remembered until acknowledged (or the page is visible again), so neither flush() nor the next hide
+            // sends them twice. If the page is gone for good, the persisted copy is re-sent on the next load.
+            this._persistQueue();
+            const unsent = this._unsentEvents(this.inFlightEventIds);
+            for (let start = 0; start < unsent.length; start += this.batchSize) {
+                const batch = unsent.slice(start, start + this.batchSize);
+                batch.forEach(event => this.unloadEventIds.add(event.eventId));
+                this.sdkInstance.requestParent("STATS_TRACK_EVENTS_REQUEST", { events: batch }).then(() => {
+                    batch.forEach(event => this.unloadEventIds.delete(event.eventId));
+                    this._removeSent(batch);
+                }, () => {
+                    batch.forEach(event => this.unloadEventIds.delete(event.eventId));
+                    this._scheduleFlush(STATS_RETRY_DELAY_MS);
+                });
             }
-            catch (error) {
-                // This catch block will now primarily handle timeouts or fundamental communication errors
-                // from sdkInstance.requestParent, as payload-level errors are processed by _resolvePendingRequest.
-                console.error("[ArcaidSDK PaymentsModule] makeBet request failed via sdkInstance.requestParent:", error);
-                const errorMessage = error instanceof Error ? error.message : String(error);
-                // Ensure consistent error response structure for the game developer
-                return Promise.reject({ success: false, error: errorMessage });
+        }
+        _unsentEvents(inFlightEventIds) {
+            return this.eventQueue.filter(event => !this.unloadEventIds.has(event.eventId) && !(inFlightEventIds && inFlightEventIds.has(event.eventId)));
+        }
+        _removeSent(batch) {
+            const sentIds = new Set(batch.map(event => event.eventId));
+            this.eventQueue = this.eventQueue.filter(event => !sentIds.has(event.eventId));
+            this._persistQueue();
+        }
+        _scheduleFlush(delayMs) {
+            if (this.flushTimer || this.flushPromise || this.sdkInstance.disposed) {
+                return;
             }
+            this.flushTimer = setTimeout(() => {
+                this.flushTimer = null;
+                this.flush().catch(err => logger.warn("[ArcaidSDK StatsModule] Flushing events failed, will retry:", err));
+            }, delayMs);
         }
-    }
-    class WalletModule {
-        // private pendingRequests: Map<string, Deferred<any>> = new Map(); // Moved to ArcaidSDKInstanceImpl
-        constructor(sdkInstance) {
-            this.sdkInstance = sdkInstance;
+        _clearFlushTimer() {
+            if (this.flushTimer) {
+                clearTimeout(this.flushTimer);
+                this.flushTimer = null;
+            }
         }
-        // generateMessageId, requestParent, and handlePlatformMessage are removed as they are centralized.
-        // The main event listener in ArcaidSDKInstanceImpl will handle responses.
-        async getUserBalance() {
-            const payload = {};
+        _storageKey() {
+            return `arcaid-stats-queue-${this.sdkInstance.currentConfig.gameId || 'default'}`;
+        }
+        _loadQueue() {
             try {
-                // Use the centralized requestParent method from the SDK instance
-                const response = await this.sdkInstance.requestParent("GET_USER_BALANCE_REQUEST", payload);
-                return response; // The promise resolves with UserBalanceResponsePayload directly or rejects with an error.
+                const stored = window.localStorage.getItem(this._storageKey());
+                const parsed = stored ? JSON.parse(stored) : [];
+                return Array.isArray(parsed) ? parsed.slice(-this.maxQueueSize) : [];
             }
-            catch (error) {
-                // console.error("[ArcaidSDK WalletModule] getUserBalance failed:", error);
-                if (error instanceof Error) {
-                    throw error;
+            catch (e) {
+                // localStorage may be unavailable (e.g. sandboxed iframe or disabled storage).
+                return [];
+            }
+        }
+        _persistQueue() {
+            try {
+                if (this.eventQueue.length === 0) {
+                    window.localStorage.removeItem(this._storageKey());
                 }
                 else {
-                    throw new Error(String(error));
+                    window.localStorage.setItem(this._storageKey(), JSON.stringify(this.eventQueue));
                 }
             }
+            catch (e) {
+                // Ignore storage errors (quota exceeded, storage disabled); events remain queued in memory.
+            }
         }
     }
-    class UtilsModule {
-        constructor(sdkInstance, initialConfig) { }
-    }
-    // Ensure ArcaidCore is defined on window before assigning to it
-    if (!window.ArcaidCore) {
-        window.ArcaidCore = {};
-    }
-    let sdkInstance = null;
-    window.ArcaidCore.initialize = async (finalConfig) => {
-        console.log("Arcaid Core SDK: Initializing with config:", finalConfig);
-        sdkInstance = new ArcaidSDKInstanceImpl(finalConfig);
+    const PAYMENT_STATUSES = ["pending", "confirmed", "failed", "cancelled", "refunded"];
+    class PaymentsModule {
+        constructor(sdkInstance, initialConfig) {
+            this.sdkInstance = sdkInstance;
+            // initialConfig is passed but may not be stored if all config access is via sdkInstance.currentConfig
+            this.onPaymentUpdateListeners = new Set();
+        }
+        handlePlatformMessage(data) {
+            switch (data.type) {
+                case "PAYMENTS_PAYMENT_UPDATE_EVENT":
+                    logger.debug('[ArcaidSDK PaymentsModule] Received PAYMENTS_PAYMENT_UPDATE_EVENT:', data.payload);
+                    this.onPaymentUpdateListeners.forEach(cb => cb(normalizePayment(data.payload)));
+                    break;
+                default:
+                    logger.debug("[ArcaidSDK PaymentsModule] Received unhandled message/event from platform:", data);
+            }
+        }
+        /**
+         * Initiates a bet in a game room via the platform.
+         * @param roomDocId The ID of the room where the bet is being placed.
+         * @param amount The amount of the bet in the smallest unit of the token (wei), as a bigint or decimal string.
+         *   Numbers are accepted only while they are safe integers.
+         * @param reason An optional reason or description for the bet.
+         * @returns A promise that resolves with the bet response from the platform.
+         */
+        async makeBet(roomDocId, amount, reason, options) {
+            if (!this.sdkInstance.currentConfig.gameId) {
+                throw new ArcaidError(ArcaidErrorCode.NOT_READY, "Arcaid SDK (PaymentsModule): Cannot make bet. SDK not fully initialized or gameId missing.");
+            }
+            const weiAmount = toWeiString(amount);
+            if (!roomDocId || weiAmount === null || weiAmount === "0") {
+                throw new ArcaidValidationError("Arcaid SDK (PaymentsModule): Invalid parameters for makeBet. roomId and a positive integer amount in wei (bigint or decimal string) required.");
+            }
+            const payload = {
+                roomDocId,
+                amount: weiAmount,
+                reason,
+            };
+            // Use the centralized requestParent method from the SDK instance.
+            // The type "BET_REQUEST" must match what the parent platform expects.
+            // Timeouts and platform errors (e.g. INSUFFICIENT_FUNDS) reject with an ArcaidError.
+            return this.sdkInstance.requestParent("BET_REQUEST", payload, toRequestOptions(options));
+        }
+        /**
+         * Retrieves the current status of a bet.
+         * @param paymentId The paymentId returned by makeBet.
+         * @returns A promise that resolves with the payment, including its status.
+         */
+        async getBetStatus(paymentId, options) {
+            if (!paymentId) {
+                throw new ArcaidValidationError("Arcaid SDK (PaymentsModule): paymentId is required for getBetStatus.");
+            }
+            const responsePayload = await this.sdkInstance.requestParent("PAYMENTS_GET_BET_STATUS_REQUEST", { paymentId }, toRequestOptions(options, true));
+            return normalizePayment(responsePayload);
+        }
+        /**
+         * Cancels a bet and refunds the stake. Only possible before the game has started;
+         * the platform rejects later cancellations.
+         * @param paymentId The paymentId returned by makeBet.
+         * @returns A promise that resolves with the refunded payment.
+         */
+        async cancelBet(paymentId, options) {
+            if (!paymentId) {
+                throw new ArcaidValidationError("Arcaid SDK (PaymentsModule): paymentId is required for cancelBet.");
+            }
+            const responsePayload = await this.sdkInstance.requestParent("PAYMENTS_CANCEL_BET_REQUEST", { paymentId }, toRequestOptions(options));
+            return normalizePayment(responsePayload);
+        }
+        /**
+         * Retrieves the player's transaction history for this game (bets, refunds and payouts), newest first.
+         * @param options Optional page size and pagination cursor.
+         * @returns A promise that resolves with a page of transactions and a cursor for the next page.
+         */
+        async getTransactions(options) {
+            const { cursor, limit } = options || {};
+            const responsePayload = await this.sdkInstance.requestParent("PAYMENTS_GET_TRANSACTIONS_REQUEST", { cursor, limit }, toRequestOptions(options, true));
+            return {
+                transactions: ((responsePayload && responsePayload.transactions) || []).map(normalizePayment),
+                nextCursor: (responsePayload && responsePayload.nextCursor) || null,
+            };
+        }
+        /**
+         * Registers a callback for payment status changes (pending → confirmed / failed, refunds, payouts).
+         * @returns A function to unsubscribe the listener.
+         */
+        onPaymentUpdate(callback) {
+            this.onPaymentUpdateListeners.add(callback);
+            return () => this.onPaymentUpdateListeners.delete(callback);
+        }
+        dispose() {
+            this.onPaymentUpdateListeners.clear();
+        }
+    }
+    /**
+     * Converts an amount in wei to a canonical decimal string without losing precision.
+     * @returns The decimal string, or null if the amount is not a non-negative integer
+     *   (numbers must also be safe integers, since larger ones have already lost precision).
+     */
+    function toWeiString(amount) {
+        if (typeof amount === 'bigint') {
+            return amount >= 0n ? amount.toString() : null;
+        }
+        if (typeof amount === 'string') {
+            return /^\d+$/.test(amount.trim()) ? BigInt(amount.trim()).toString() : null;
+        }
+        if (typeof amount === 'number') {
+            return Number.isSafeInteger(amount) && amount >= 0 ? String(amount) : null;
+        }
+        return null;
+    }
+    // Payments from the platform may carry numeric amounts; expose them as decimal strings like the rest of the SDK.
+    function normalizePayment(payment) {
+        if (!payment || typeof payment !== 'object') {
+            return payment;
+        }
+        const normalized = { ...payment };
+        if (normalized.amount !== undefined && normalized.amount !== null) {
+            normalized.amount = toWeiString(normalized.amount) ?? String(normalized.amount);
+        }
+        if (normalized.status && !PAYMENT_STATUSES.includes(normalized.status)) {
+            logger.warn(`[ArcaidSDK PaymentsModule] Unknown payment status "${normalized.status}".`);
+        }
+        return normalized;
+    }
+    const DEFAULT_TOKEN_DECIMALS = 18;
+    class WalletModule {
+        // private pendingRequests: Map<string, Deferred<any>> = new Map(); // Moved to ArcaidSDKInstanceImpl
+        constructor(sdkInstance) {
+            this.sdkInstance = sdkInstance;
+            this.onBalanceChangedListeners = new Set();
+            this.latestBalances = new Map(); // tokenAddress -> latest known balance, kept current by push events
+            this.gameTokenAddress = null; // Token of the balance returned by getUserBalance
+        }
+        // generateMessageId and requestParent are centralized in ArcaidSDKInstanceImpl.
+        // The main event listener in ArcaidSDKInstanceImpl handles responses and routes WALLET_ events here.
+        handlePlatformMessage(data) {
+            switch (data.type) {
+                case "WALLET_BALANCE_CHANGED_EVENT": {
+                    logger.debug('[ArcaidSDK WalletModule] Received WALLET_BALANCE_CHANGED_EVENT:', data.payload);
+                    if (!data.payload || typeof data.payload !== 'object') {
+                        logger.debug("[ArcaidSDK WalletModule] Ignoring malformed WALLET_BALANCE_CHANGED_EVENT:", data.payload);
+                        break;
+                    }
+                    const previous = this.latestBalances.get(data.payload.tokenAddress);
+                    this._rememberBalance(data.payload);
+                    const change = {
+                        ...data.payload,
+                        previousBalance: data.payload.previousBalance ?? (previous ? previous.balance : null),
+                    };
+                    this.onBalanceChangedListeners.forEach(cb => cb(change));
+                    break;
+                }
+                default:
+                    logger.debug("[ArcaidSDK WalletModule] Received unhandled message/event from platform:", data);
+            }
+        }
+        async getUserBalance(options) {
+            const payload = {};
+            // Use the centralized requestParent method from the SDK instance.
+            // The promise resolves with UserBalanceResponsePayload directly or rejects with an ArcaidError.
+            const response = await this.sdkInstance.requestParent("GET_USER_BALANCE_REQUEST", payload, toRequestOptions(options, true));
+            if (response && response.tokenAddress) {
+                this.gameTokenAddress = response.tokenAddress;
+            }
+            this._rememberBalance(response);
+            return response;
+        }
+        /**
+         * Retrieves the player's balance of every token they hold.
+         * @returns A promise that resolves with one entry per token.
+         */
+        async getBalances(options) {
+            const responsePayload = await this.sdkInstance.requestParent("WALLET_GET_BALANCES_REQUEST", {}, toRequestOptions(options, true));
+            const balances = (responsePayload && responsePayload.balances) || [];
+            balances.forEach(balance => this._rememberBalance(balance));
+            return balances;
+        }
+        /**
+         * Registers a callback for balance changes pushed by the platform (bets, refunds, payouts, deposits).
+         * @returns A function to unsubscribe the listener.
+         */
+        onBalanceChanged(callback) {
+            this.onBalanceChangedListeners.add(callback);
+            return () => this.onBalanceChangedListeners.delete(callback);
+        }
+        dispose() {
+            this.onBalanceChangedListeners.clear();
+            this.latestBalances.clear();
+        }
+        /**
+         * Checks whether the player's balance covers an amount, e.g. before calling payments.makeBet.
+         * Uses the balance kept current by push events, and fetches it if none is known yet.
+         * @param amount The amount in wei.
+         * @param tokenAddress The token to check. Defaults to the game token.
+         */
+        async canAfford(amount, tokenAddress) {
+            const weiAmount = toWeiString(amount);
+            if (weiAmount === null) {
+                throw new ArcaidValidationError("Arcaid SDK (WalletModule): canAfford requires a non-negative integer amount in wei.");
+            }
+            let balance = tokenAddress ? this.latestBalances.get(tokenAddress) : this.gameTokenBalance;
+            if (!balance) {
+                balance = tokenAddress
+                    ? (await this.getBalances()).find(entry => entry.tokenAddress === tokenAddress)
+                    : await this.getUserBalance();
+            }
+            return !!balance && BigInt(balance.balance) >= BigInt(weiAmount);
+        }
+        /**
+         * Formats an amount in wei as a human-readable decimal, truncating (never rounding up) extra digits.
+         * @param wei The amount in wei, as a bigint, decimal string or safe integer.
+         * @param options.decimals Token decimals. Defaults to 18.
+         * @param options.ticker Appended after the amount, e.g. "ARC".
+         * @param options.maxFractionDigits Digits kept after the decimal point. Defaults to 4.
+         * @returns e.g. "1.5 ARC".
+         */
+        formatAmount(wei, options) {
+            // Balance changes can be negative, so unlike toWeiString a leading minus is allowed here.
+            const negative = typeof wei === 'bigint' ? wei < 0n : typeof wei === 'number' ? wei < 0 : String(wei).trim().startsWith('-');
+            const magnitude = typeof wei === 'bigint' ? (negative ? -wei : wei) :
+                typeof wei === 'number' ? Math.abs(wei) : String(wei).trim().replace(/^-/, '');
+            const digits = toWeiString(magnitude);
+            if (digits === null) {
+                throw new ArcaidValidationError("Arcaid SDK (WalletModule): formatAmount requires an integer amount in wei.");
+            }
+            const { decimals = DEFAULT_TOKEN_DECIMALS, ticker, maxFractionDigits = 4 } = options || {};
+            const padded = digits.padStart(decimals + 1, '0');
+            const whole = padded.substring(0, padded.length - decimals);
+            const fraction = padded.substring(padded.length - decimals).substring(0, maxFractionDigits).replace(/0+$/, '');
+            const formatted = `${negative ? '-' : ''}${whole}${fraction ? `.${fraction}` : ''}`;
+            return ticker ? `${formatted} ${ticker}` : formatted;
+        }
+        /**
+         * Parses a human-readable decimal amount (e.g. "1.5") into wei.
+         * @param amount The decimal amount as a string, or a whole number of tokens as a number.
+         * @param options.decimals Token decimals. Defaults to 18.
+         * @returns The amount in wei.
+         * @throws ArcaidValidationError if the amount is malformed, negative, has more fraction digits than the token,
+         *   or is a number that isn't a safe integer (binary floats can't hold decimal amounts exactly).
+         */
+        parseAmount(amount, options) {
+            const { decimals = DEFAULT_TOKEN_DECIMALS } = options || {};
+            if (typeof amount === 'number' && !(Number.isSafeInteger(amount) && amount >= 0)) {
+                throw new ArcaidValidationError(`Arcaid SDK (WalletModule): ${amount} is not a valid amount: numbers must be non-negative safe integers, pass other amounts as a string.`);
+            }
+            const text = typeof amount === 'number' ? BigInt(amount).toString() : String(amount || '').trim();
+            const match = /^(\d*)(?:\.(\d*))?$/.exec(text);
+            if (!match || (!match[1] && !match[2])) {
+                throw new ArcaidValidationError(`Arcaid SDK (WalletModule): "${text}" is not a valid amount.`);
+            }
+            const fraction = match[2] || '';
+            if (fraction.length > decimals) {
+                throw new ArcaidValidationError(`Arcaid SDK (WalletModule): "${text}" has more than ${decimals} decimal places.`);
+            }
+            return BigInt((match[1] || '0') + fraction.padEnd(decimals, '0'));
+        }
+        get gameTokenBalance() {
+            return this.latestBalances.get(this.gameTokenAddress) || null;
+        }
+        _rememberBalance(balance) {
+            if (!balance || !balance.tokenAddress) {
+                return;
+            }
+            this.latestBalances.set(balance.tokenAddress, balance);
+        }
+    }
+    const STORAGE_DEFAULT_LIMITS = Object.freeze({ maxKeyLength: 128, maxValueBytes: 65536 });
+    const STORAGE_SYNC_RETRY_DELAY_MS = 5000;
+    // Errors after which a write is kept in the local cache and synced later, instead of failing.
+    const STORAGE_UNREACHABLE_CODES = new Set([ArcaidErrorCode.TIMEOUT, ArcaidErrorCode.NO_PARENT]);
+    /**
+     * Cloud saves: a key-value store per game and player, kept by the platform.
+     * Writes go through a local cache. When the platform can't be reached they are queued (and persisted)
+     * and synced once it can, so a save never fails just because the connection dropped.
+     * Every entry has a version; pass `expectedVersion` to a write to detect conflicting writes from other devices.
+     */
+    class StorageModule {
+        constructor(sdkInstance) {
+            this.sdkInstance = sdkInstance;
+            this.onConflictListeners = new Set();
+            this.cache = null; // { storageKey, entries: { key -> entry }, pending: write[] } of the current player
+            this.syncPromise = null;
+            this.syncTimer = null;
+            this._unsubscribeAuth = null;
+            this._onOnline = () => this._syncIfPending();
+            window.addEventListener('online', this._onOnline);
+        }
+        /**
+         * Syncs writes queued by a previous page, and the queued writes of each player who logs in.
+         */
+        initialize() {
+            this._unsubscribeAuth = this.sdkInstance.auth.onAuthStateChanged(() => this._syncIfPending());
+        }
+        /**
+         * Reads an entry. Reflects this player's own queued writes. When the platform can't be reached,
+         * the cached entry is returned with `fromCache: true`.
+         * @returns A promise that resolves with `{ key, value, version, updatedAt, pending, fromCache }`,
+         *   or null if the key doesn't exist.
+         */
+        async get(key, options) {
+            this._validateKey(key);
+            const cache = this._cache();
+            if (cache.pending.some(write => write.key === key)) {
+                return this._toEntry(key, cache.entries[key], { pending: true });
+            }
+            let responsePayload;
+            try {
+                responsePayload = await this.sdkInstance.requestParent("STORAGE_GET_REQUEST", { key }, toRequestOptions(options, true));
+            }
+            catch (error) {
+                if (this._isUnreachable(error) && cache.entries[key]) {
+                    return this._toEntry(key, cache.entries[key], { fromCache: true });
+                }
+                throw error;
+            }
+            const remote = responsePayload && responsePayload.entry;
+            if (remote) {
+                cache.entries[key] = { value: remote.value, version: remote.version, updatedAt: remote.updatedAt };
+            }
+            else {
+                delete cache.entries[key];
+            }
+            this._persistCache(cache);
+            return this._toEntry(key, cache.entries[key]);
+        }
+        /**
+         * Writes an entry.
+         * @param key Up to 128 characters by default.
+         * @param value Any JSON-serializable value, up to 64 KiB as JSON by default.
+         * @param options.expectedVersion Only write if the entry is at this version (null: only if it doesn't exist).
+         *   A mismatch rejects with a CONFLICT error whose details hold the current version and value.
+         * @returns A promise that resolves with the written entry. `pending: true` means it is saved locally
+         *   and will be synced to the platform.
+         */
+        async set(key, value, options) {
+            this._validateKey(key);
+            let json;
+            try {
+                json = JSON.stringify(value);
+            }
+            catch (error) {
+                throw new ArcaidValidationError(`Arcaid SDK (StorageModule): The value for "${key}" is not JSON-serializable: ${error.message}`);
+            }
+            if (json === undefined) {
+                throw new ArcaidValidationError(`Arcaid SDK (StorageModule): The value for "${key}" is not JSON-serializable; use delete() to remove an entry.`);
+            }
+            const { maxValueBytes } = this._limits();
+            const size = new TextEncoder().encode(json).length;
+            if (size > maxValueBytes) {
+                throw new ArcaidError(ArcaidErrorCode.STORAGE_LIMIT_EXCEEDED, `The value for "${key}" is ${size} bytes; the limit is ${maxValueBytes}.`, { details: { key, limitType: "valueBytes", size, limit: maxValueBytes } });
+            }
+            return this._write("set", key, JSON.parse(json), options);
+        }
+        /**
+         * Deletes an entry.
+         * @param options.expectedVersion Only delete if the entry is at this version.
+         * @returns A promise that resolves with `{ key, pending }`.
+         */
+        async delete(key, options) {
+            this._validateKey(key);
+            const entry = await this._write("delete", key, undefined, options);
+            return { key, pending: entry.pending };
+        }
+        /**
+         * Lists this player's keys, without their values. When the platform can't be reached, the cached keys
+         * are listed with `fromCache: true`.
+         * @param options.prefix Only list keys starting with this prefix.
+         * @param options.limit Page size.
+         * @param options.cursor Cursor from the previous page.
+         * @returns A promise that resolves with `{ entries: [{ key, version, updatedAt }], nextCursor, fromCache }`.
+         */
+        async list(options) {
+            const { prefix, limit, cursor } = options || {};
+            const cache = this._cache();
+            try {
+                const responsePayload = await this.sdkInstance.requestParent("STORAGE_LIST_REQUEST", { prefix, limit, cursor }, toRequestOptions(options, true));
+                return {
+                    entries: (responsePayload && responsePayload.entries) || [],
+                    nextCursor: (responsePayload && responsePayload.nextCursor) || null,
+                    fromCache: false,
+                };
+            }
+            catch (error) {
+                if (!this._isUnreachable(error)) {
+                    throw error;
+                }
+                const entries = Object.keys(cache.entries)
+                    .filter(key => !cache.entries[key].deleted && (!prefix || key.startsWith(prefix)))
+                    .sort()
+                    .map(key => ({ key, version: cache.entries[key].version, updatedAt: cache.entries[key].updatedAt }));
+                return { entries, nextCursor: null, fromCache: true };
+            }
+        }
+        /**
+         * The number of writes saved locally and not yet synced to the platform.
+         */
+        get pendingWrites() {
+            return this.cache ? this.cache.pending.length : 0;
+        }
+        /**
+         * Sends the queued writes to the platform, oldest first. A queued write that conflicts with a newer
+         * version on the platform is dropped and reported to onConflict listeners.
+         * @returns A promise that resolves when the queue is empty, or rejects if the platform can't be reached.
+         */
+        async sync() {
+            if (this.syncPromise) {
+                return this.syncPromise;
+            }
+            clearTimeout(this.syncTimer);
+            this.syncTimer = null;
+            const cache = this._cache();
+            this.syncPromise = (async () => {
+                try {
+                    while (cache.pending.length > 0) {
+                        const write = cache.pending[0];
+                        try {
+                            const responsePayload = await this._send(write);
+                            if (cache.pending[0] === write) {
+                                this._applyRemoteWrite(cache, write, responsePayload);
+                            }
+                        }
+                        catch (error) {
+                            if (this._isUnreachable(error) || this.sdkInstance.disposed) {
+                                throw error;
+                            }
+                            this._dropConflictingWrite(cache, write, error);
+                        }
+                        if (cache.pending[0] === write) {
+                            cache.pending.shift();
+                        }
+                        this._persistCache(cache);
+                    }
+                }
+                catch (error) {
+                    this._scheduleSync();
+                    throw error;
+                }
+                finally {
+                    this.syncPromise = null;
+                }
+            })();
+            return this.syncPromise;
+        }
+        /**
+         * Registers a callback for queued writes that were rejected during sync because the entry changed
+         * on the platform meanwhile, e.g. on another device. The cache then holds the platform's version.
+         * @param callback Receives `{ key, localValue, deleted, remoteValue, remoteVersion, error }`.
+         * @returns A function to unsubscribe the listener.
+         */
+        onConflict(callback) {
+            this.onConflictListeners.add(callback);
+            return () => this.onConflictListeners.delete(callback);
+        }
+        dispose() {
+            clearTimeout(this.syncTimer);
+            this.syncTimer = null;
+            window.removeEventListener('online', this._onOnline);
+            if (this._unsubscribeAuth) {
+                this._unsubscribeAuth();
+            }
+            this.onConflictListeners.clear();
+        }
+        async _write(op, key, value, options) {
+            const expectedVersion = options ? options.expectedVersion : undefined;
+            const requestOptions = toRequestOptions(options);
+            const cache = this._cache();
+            // Writes to a key with queued writes are queued behind them, so they reach the platform in order.
+            if (!cache.pending.some(write => write.key === key)) {
+                const write = { writeId: this.sdkInstance.generateMessageId(), op, key, value, expectedVersion };
+                try {
+                    const responsePayload = await this._send(write, requestOptions);
+                    this._applyRemoteWrite(cache, write, responsePayload);
+                    this._persistCache(cache);
+                    this._syncIfPending(); // The platform is reachable again
+                    return this._toEntry(key, cache.entries[key]);
+                }
+                catch (error) {
+                    if (!this._isUnreachable(error)) {
+                        throw error;
+                    }
+                }
+            }
+            this._enqueue(cache, op, key, value, expectedVersion);
+            this.sync().catch(() => { });
+            return this._toEntry(key, cache.entries[key], { pending: true });
+        }
+        _enqueue(cache, op, key, value, expectedVersion) {
+            const cached = cache.entries[key];
+            const currentVersion = cached && !cached.deleted ? cached.version : null;
+            if (expectedVersion !== undefined && expectedVersion !== currentVersion) {
+                throw new ArcaidError(ArcaidErrorCode.CONFLICT, `"${key}" is at version ${currentVersion}, not ${expectedVersion}.`, { details: { key, currentVersion, currentValue: cached && !cached.deleted ? cached.value : null } });
+            }
+            const queued = cache.pending.find(write => write.key === key);
+            if (queued) {
+                // Only the latest value has to reach the platform; the first queued write keeps the version it expects.
+                queued.op = op;
+                queued.value = value;
+            }
+            else {
+                cache.pending.push({ writeId: this.sdkInstance.generateMessageId(), op, key, value, expectedVersion });
+            }
+            cache.entries[key] = op === "delete"
+                ? { deleted: true, version: cached ? cached.version : null, updatedAt: Date.now() }
+                : { value, version: cached ? cached.version : null, updatedAt: Date.now() };
+            this._persistCache(cache);
+        }
+        // writeId lets the platform recognize a write it already applied, e.g. when the response timed out.
+        _send(write, requestOptions) {
+            const { writeId, key, value, expectedVersion } = write;
+            return write.op === "delete"
+                ? this.sdkInstance.requestParent("STORAGE_DELETE_REQUEST", { writeId, key, expectedVersion }, requestOptions)
+                : this.sdkInstance.requestParent("STORAGE_SET_REQUEST", { writeId, key, value, expectedVersion }, requestOptions);
+        }
+        _applyRemoteWrite(cache, write, responsePayload) {
+            if (write.op === "delete") {
+                delete cache.entries[write.key];
+                return;
+            }
+            cache.entries[write.key] = {
+                value: write.value,
+                version: responsePayload && responsePayload.version !== undefined ? responsePayload.version : null,
+                updatedAt: (responsePayload && responsePayload.updatedAt) || Date.now(),
+            };
+        }
+        _dropConflictingWrite(cache, write, error) {
+            if (!(error instanceof ArcaidError) || error.code !== ArcaidErrorCode.CONFLICT) {
+                logger.warn(`[ArcaidSDK StorageModule] Dropping queued ${write.op} of "${write.key}" rejected by the platform:`, error);
+                delete cache.entries[write.key]; // Unknown state; the next get() fetches it
+                return;
+            }
+            const details = (error.details && typeof error.details === 'object') ? error.details : {};
+            const remoteVersion = details.currentVersion !== undefined ? details.currentVersion : null;
+            const remoteValue = details.currentValue !== undefined ? details.currentValue : null;
+            if (remoteVersion === null) {
+                delete cache.entries[write.key];
+            }
+            else {
+                cache.entries[write.key] = { value: remoteValue, version: remoteVersion, updatedAt: Date.now() };
+            }
+            this.onConflictListeners.forEach(cb => cb({
+                key: write.key,
+                localValue: write.op === "delete" ? null : write.value,
+                deleted: write.op === "delete",
+                remoteValue,
+                remoteVersion,
+                error,
+            }));
+        }
+        _syncIfPending() {
+            try {
+                if (!this.sdkInstance.disposed && this._cache().pending.length > 0) {
+                    this.sync().catch(() => { });
+                }
+            }
+            catch (e) {
+                // No logged-in player; their queued writes are synced when they log in.
+            }
+        }
+        _scheduleSync() {
+            if (this.syncTimer || this.sdkInstance.disposed) {
+                return;
+            }
+            this.syncTimer = setTimeout(() => {
+                this.syncTimer = null;
+                this._syncIfPending();
+            }, STORAGE_SYNC_RETRY_DELAY_MS);
+        }
+        _isUnreachable(error) {
+            return error instanceof ArcaidError && STORAGE_UNREACHABLE_CODES.has(error.code);
+        }
+        _limits() {
+            return { ...STORAGE_DEFAULT_LIMITS, ...(this.sdkInstance.currentConfig.storageLimits || {}) };
+        }
+        _validateKey(key) {
+            if (typeof key !== 'string' || !key) {
+                throw new ArcaidValidationError("Arcaid SDK (StorageModule): key must be a non-empty string.");
+            }
+            const { maxKeyLength } = this._limits();
+            if (key.length > maxKeyLength) {
+                throw new ArcaidError(ArcaidErrorCode.STORAGE_LIMIT_EXCEEDED, `The key "${key.slice(0, 32)}…" is ${key.length} characters; the limit is ${maxKeyLength}.`, { details: { key, limitType: "keyLength", size: key.length, limit: maxKeyLength } });
+            }
+        }
+        _toEntry(key, cached, flags) {
+            if (!cached || cached.deleted) {
+                return flags && flags.pending ? { key, value: null, version: null, updatedAt: null, pending: true, fromCache: false, deleted: true } : null;
+            }
+            return {
+                key,
+                value: cached.value,
+                version: cached.version,
+                updatedAt: cached.updatedAt,
+                pending: Boolean(flags && flags.pending),
+                fromCache: Boolean(flags && flags.fromCache),
+            };
+        }
+        // Saves are scoped to the game and the logged-in player; guests have no cloud saves.
+        _cache() {
+            const { isLoggedIn, userId } = this.sdkInstance.auth.userState;
+            if (!isLoggedIn || !userId) {
+                throw new ArcaidError(ArcaidErrorCode.UNAUTHORIZED, "Cloud saves require a logged-in player.");
+            }
+            const storageKey = `arcaid-storage-${this.sdkInstance.currentConfig.gameId || 'default'}-${userId}`;
+            if (!this.cache || this.cache.storageKey !== storageKey) {
+                this.cache = this._loadCache(storageKey);
+            }
+            return this.cache;
+        }
+        _loadCache(storageKey) {
+            try {
+                const stored = JSON.parse(window.localStorage.getItem(storageKey) || "null");
+                if (stored && stored.entries && Array.isArray(stored.pending)) {
+                    return { storageKey, entries: stored.entries, pending: stored.pending };
+                }
+            }
+            catch (e) {
+                // localStorage may be unavailable or hold something unreadable; start with an empty cache.
+            }
+            return { storageKey, entries: {}, pending: [] };
+        }
+        _persistCache(cache) {
+            try {
+                window.localStorage.setItem(cache.storageKey, JSON.stringify({ entries: cache.entries, pending: cache.pending }));
+            }
+            catch (e) {
+                // Ignore storage errors (quota exceeded, storage disabled); the cache remains in memory.
+            }
+        }
+    }
+    // Host features a game can ask for. The platform reports the ones it supports.
+    const UtilsCapability = Object.freeze({
+        ENVIRONMENT: "environment",
+        FULLSCREEN: "fullscreen",
+        SHARE: "share",
+        TOAST: "toast",
+        EXTERNAL_URL: "externalUrl",
+    });
+    // Hosts that predate the capability request never answer it, so don't wait the full request timeout.
+    const UTILS_CAPABILITIES_TIMEOUT_MS = 3000;
+    // Share sheets wait for the player.
+    const UTILS_INTERACTIVE_TIMEOUT_MS = 120000;
+    const TOAST_TYPES = ["info", "success", "warning", "error"];
+    function isHttpUrl(url) {
+        try {
+            const protocol = new URL(url).protocol;
+            return protocol === "https:" || protocol === "http:";
+        }
+        catch (e) {
+            return false;
+        }
+    }
+    /**
+     * Builds the environment from what the game's own frame can see, for hosts that don't report it.
+     * Safe-area insets are only known to the host and default to zero.
+     */
+    function detectLocalEnvironment() {
+        const nav = typeof navigator !== 'undefined' ? navigator : {};
+        const prefersDark = typeof window.matchMedia === 'function' && window.matchMedia("(prefers-color-scheme: dark)").matches;
+        const userAgent = nav.userAgent || "";
+        const deviceType = /iPad|Tablet/i.test(userAgent) ? "tablet" : /Mobi|Android|iPhone/i.test(userAgent) ? "mobile" : "desktop";
+        return {
+            locale: nav.language || "en-US",
+            deviceType,
+            theme: prefersDark ? "dark" : "light",
+            safeAreaInsets: { top: 0, right: 0, bottom: 0, left: 0 },
+        };
+    }
+    class UtilsModule {
+        constructor(sdkInstance, initialConfig) {
+            this.sdkInstance = sdkInstance;
+            this.onEnvironmentChangedListeners = new Set();
+            this.capabilitiesPromise = null;
+            this.environment = null; // Latest environment reported by the host
+        }
+        handlePlatformMessage(data) {
+            switch (data.type) {
+                case "UTILS_ENVIRONMENT_CHANGED_EVENT":
+                    logger.debug('[ArcaidSDK UtilsModule] Received UTILS_ENVIRONMENT_CHANGED_EVENT:', data.payload);
+                    this.environment = { ...(this.environment || detectLocalEnvironment()), ...(data.payload || {}) };
+                    this.onEnvironmentChangedListeners.forEach(cb => cb(this.environment));
+                    break;
+                default:
+                    logger.debug("[ArcaidSDK UtilsModule] Received unhandled message/event from platform:", data);
+            }
+        }
+        /**
+         * Lists the host features available to the game, e.g. 'share' or 'fullscreen'.
+         * Taken from the platform config when it includes them, otherwise asked once and cached.
+         * Hosts that don't answer are treated as supporting none.
+         * @returns A promise that resolves with the supported capabilities.
+         */
+        async getCapabilities(options) {
+            const configured = this.sdkInstance.currentConfig.capabilities;
+            if (Array.isArray(configured)) {
+                return configured.slice();
+            }
+            if (!this.capabilitiesPromise) {
+                const request = this.sdkInstance.requestParent("UTILS_GET_CAPABILITIES_REQUEST", {}, { timeout: UTILS_CAPABILITIES_TIMEOUT_MS, ...toRequestOptions(options, true) })
+                    .then(responsePayload => (responsePayload && Array.isArray(responsePayload.capabilities)) ? responsePayload.capabilities : [], error => {
+                    if (error instanceof ArcaidError && (error.code === ArcaidErrorCode.TIMEOUT || error.code === ArcaidErrorCode.NO_PARENT)) {
+                        return [];
+                    }
+                    this.capabilitiesPromise = null; // Let the next call ask again
+                    throw error;
+                });
+                this.capabilitiesPromise = request;
+            }
+            return (await this.capabilitiesPromise).slice();
+        }
+        /**
+         * Checks whether the host supports a feature.
+         * @param capability One of 'environment', 'fullscreen', 'share', 'toast' or 'externalUrl'.
+         */
+        async isSupported(capability, options) {
+            return (await this.getCapabilities(options)).includes(capability);
+        }
+        /**
+         * Describes where the game runs: locale, device type, color theme and safe-area insets.
+         * Falls back to what the game's frame can detect itself when the host doesn't report it.
+         */
+        async getEnvironment(options) {
+            if (!(await this.isSupported(UtilsCapability.ENVIRONMENT, options))) {
+                return this.environment || detectLocalEnvironment();
+            }
+            const responsePayload = await this.sdkInstance.requestParent("UTILS_GET_ENVIRONMENT_REQUEST", {}, toRequestOptions(options, true));
+            this.environment = { ...detectLocalEnvironment(), ...(responsePayload || {}) };
+            return this.environment;
+        }
+        /**
+         * Registers a callback for environment changes reported by the host, e.g. a new theme or safe-area
+         * insets after the device was rotated.
+         * @returns A function to unsubscribe the listener.
+         */
+        onEnvironmentChanged(callback) {
+            this.onEnvironmentChangedListeners.add(callback);
+            return () => this.onEnvironmentChangedListeners.delete(callback);
+        }
+        /**
+         * Asks the host to show the game fullscreen. Browsers only allow this in response to a user gesture,
+         * so call it from a click or key handler.
+         * @returns A promise that resolves with whether the game is now fullscreen.
+         */
+        async requestFullscreen(options) {
+            await this._requireCapability(UtilsCapability.FULLSCREEN, options);
+            const responsePayload = await this.sdkInstance.requestParent("UTILS_REQUEST_FULLSCREEN_REQUEST", {}, toRequestOptions(options));
+            return Boolean(responsePayload && responsePayload.fullscreen);
+        }
+        /**
+         * Opens the host's share sheet.
+         * @param content `{ text?, url?, title? }`; at least text or an http(s) url.
+         * @returns A promise that resolves with false if the player cancelled, true otherwise.
+         */
+        async share(content, options) {
+            if (!content || (!content.text && !content.url)) {
+                throw new ArcaidValidationError("Arcaid SDK (UtilsModule): share requires text or a url.");
+            }
+            if (content.url !== undefined && !isHttpUrl(content.url)) {
+                throw new ArcaidValidationError("Arcaid SDK (UtilsModule): share url must be an http(s) URL.");
+            }
+            await this._requireCapability(UtilsCapability.SHARE, options);
+            const { text, url, title } = content;
+            const responsePayload = await this.sdkInstance.requestParent("UTILS_SHARE_REQUEST", { text, url, title }, { timeout: UTILS_INTERACTIVE_TIMEOUT_MS, ...toRequestOptions(options) });
+            return !responsePayload || responsePayload.shared !== false;
+        }
+        /**
+         * Shows a short notification in the host UI, outside the game frame.
+         * @param message The text to show.
+         * @param options.type 'info' (default), 'success', 'warning' or 'error'.
+         * @param options.durationMs How long to show the toast. Defaults to the host's default.
+         */
+        async showToast(message, options = {}) {
+            if (typeof message !== 'string' || !message.trim()) {
+                throw new ArcaidValidationError("Arcaid SDK (UtilsModule): showToast requires a message.");
+            }
+            const type = options.type || "info";
+            if (!TOAST_TYPES.includes(type)) {
+                throw new ArcaidValidationError(`Arcaid SDK (UtilsModule): toast type must be one of ${TOAST_TYPES.join(", ")}.`);
+            }
+            await this._requireCapability(UtilsCapability.TOAST, options);
+            await this.sdkInstance.requestParent("UTILS_SHOW_TOAST_REQUEST", { message, type, durationMs: options.durationMs }, toRequestOptions(options));
+        }
+        /**
+         * Opens a URL outside the game, in a new tab or the system browser. The host may ask the player first.
+         * @param url An http(s) URL.
+         * @returns A promise that resolves with whether the URL was opened.
+         */
+        async openExternalUrl(url, options) {
+            if (!isHttpUrl(url)) {
+                throw new ArcaidValidationError("Arcaid SDK (UtilsModule): openExternalUrl requires an http(s) URL.");
+            }
+            await this._requireCapability(UtilsCapability.EXTERNAL_URL, options);
+            const responsePayload = await this.sdkInstance.requestParent("UTILS_OPEN_EXTERNAL_URL_REQUEST", { url }, { timeout: UTILS_INTERACTIVE_TIMEOUT_MS, ...toRequestOptions(options) });
+            return !responsePayload || responsePayload.opened !== false;
+        }
+        dispose() {
+            this.onEnvironmentChangedListeners.clear();
+        }
+        async _requireCapability(capability, options) {
+            if (!(await this.isSupported(capability, options && { signal: options.signal }))) {
+                throw new ArcaidError(ArcaidErrorCode.UNSUPPORTED, `The host does not support ${capability}.`);
+            }
+        }
+    }
+    // Progress reports are only sent in steps of at least 1%, so games can report from their load loop.
+    const LIFECYCLE_PROGRESS_STEP = 0.01;
+    const LIFECYCLE_NOTIFY_TIMEOUT_MS = 5000;
+    /**
+     * Lifecycle signals between the host and the game. The host pauses the game (e.g. while a platform menu
+     * is open) and mutes it; the game reports its loading progress and when it is playable.
+     * The game is also paused while its tab is hidden, so every title behaves the same.
+     */
+    class LifecycleModule {
+        constructor(sdkInstance) {
+            this.sdkInstance = sdkInstance;
+            this.onPauseListeners = new Set();
+            this.onResumeListeners = new Set();
+            this.onMuteChangedListeners = new Set();
+            this.pauseReasons = new Set(); // Paused while any reason is active: 'hidden' or the host's reasons
+            this.muted = null; // Null until the host reports it; the platform config applies until then
+            this.lastProgress = -1;
+            this.readyPromise = null;
+            this._onVisibilityChange = () => {
+                if (document.visibilityState === 'hidden') {
+                    this._pause("hidden");
+                }
+                else {
+                    this._resume("hidden");
+                }
+            };
+            document.addEventListener('visibilitychange', this._onVisibilityChange);
+            if (document.visibilityState === 'hidden') {
+                this.pauseReasons.add("hidden");
+            }
+        }
+        handlePlatformMessage(data) {
+            const payload = data.payload || {};
+            switch (data.type) {
+                case "LIFECYCLE_PAUSE_EVENT":
+                    logger.debug('[ArcaidSDK LifecycleModule] Received LIFECYCLE_PAUSE_EVENT:', data.payload);
+                    this._pause(payload.reason || "host");
+                    break;
+                case "LIFECYCLE_RESUME_EVENT":
+                    logger.debug('[ArcaidSDK LifecycleModule] Received LIFECYCLE_RESUME_EVENT:', data.payload);
+                    // 'hidden' is the SDK's own reason and only ends when the tab is visible again, whatever the host says.
+                    if (payload.reason && payload.reason !== "hidden") {
+                        this._resume(payload.reason);
+                    }
+                    else if (!payload.reason) {
+                        // Resumes every pause the host asked for; a hidden tab stays paused.
+                        [...this.pauseReasons].filter(reason => reason !== "hidden").forEach(reason => this._resume(reason));
+                    }
+                    break;
+                case "LIFECYCLE_MUTE_CHANGED_EVENT": {
+                    logger.debug('[ArcaidSDK LifecycleModule] Received LIFECYCLE_MUTE_CHANGED_EVENT:', data.payload);
+                    const muted = Boolean(payload.muted);
+                    const changed = muted !== this.isMuted;
+                    this.muted = muted;
+                    if (changed) {
+                        this.onMuteChangedListeners.forEach(cb => cb({ muted }));
+                    }
+                    break;
+                }
+                default:
+                    logger.debug("[ArcaidSDK LifecycleModule] Received unhandled message/event from platform:", data);
+            }
+        }
+        /**
+         * Whether the game should be paused: the host paused it, or its tab is hidden.
+         */
+        get isPaused() {
+            return this.pauseReasons.size > 0;
+        }
+        /**
+         * Whether the player muted the game in the host UI.
+         */
+        get isMuted() {
+            return this.muted !== null ? this.muted : Boolean(this.sdkInstance.currentConfig.muted);
+        }
+        /**
+         * Registers a callback for when the game should pause. Check isPaused for the state at startup.
+         * @param callback Receives `{ reason }`: 'hidden' when the tab was hidden, otherwise the host's reason
+         *   (e.g. 'menu'), or 'host' if it gave none.
+         * @returns A function to unsubscribe the listener.
+         */
+        onPause(callback) {
+            this.onPauseListeners.add(callback);
+            return () => this.onPauseListeners.delete(callback);
+        }
+        /**
+         * Registers a callback for when the game may continue, once every pause reason has ended.
+         * @param callback Receives `{ reason }`, the reason that ended last.
+         * @returns A function to unsubscribe the listener.
+         */
+        onResume(callback) {
+            this.onResumeListeners.add(callback);
+            return () => this.onResumeListeners.delete(callback);
+        }
+        /**
+         * Registers a callback for when the player mutes or unmutes the game in the host UI.
+         * @param callback Receives `{ muted }`.
+         * @returns A function to unsubscribe the listener.
+         */
+        onMuteChanged(callback) {
+            this.onMuteChangedListeners.add(callback);
+            return () => this.onMuteChangedListeners.delete(callback);
+        }
+        /**
+         * Reports how far the game has loaded, for the host's loading screen.
+         * Cheap to call often: reports that don't advance by at least 1% are not sent.
+         * @param progress A number from 0 to 1.
+         */
+        reportLoadingProgress(progress) {
+            if (typeof progress !== 'number' || !(progress >= 0 && progress <= 1)) {
+                throw new ArcaidValidationError("Arcaid SDK (LifecycleModule): progress must be a number from 0 to 1.");
+            }
+            if (this.readyPromise || (progress < 1 && progress - this.lastProgress < LIFECYCLE_PROGRESS_STEP) || progress <= this.lastProgress) {
+                return;
+            }
+            this.lastProgress = progress;
+            this.sdkInstance.requestParent("LIFECYCLE_LOADING_PROGRESS_REQUEST", { progress }, { timeout: LIFECYCLE_NOTIFY_TIMEOUT_MS })
+                .catch(error => logger.debug("[ArcaidSDK LifecycleModule] Loading progress report failed:", error));
+        }
+        /**
+         * Tells the host the game is loaded and playable, so it can hide its loading screen.
+         * Later calls do nothing. There's no need to wait for the returned promise.
+         * @returns A promise that resolves once the host acknowledged it, or failed to; it never rejects.
+         */
+        gameReady() {
+            if (!this.readyPromise) {
+                const loadTimeMs = typeof performance !== 'undefined' ? Math.round(performance.now()) : undefined;
+                this.readyPromise = this.sdkInstance.requestParent("LIFECYCLE_GAME_READY_REQUEST", { loadTimeMs }, { timeout: LIFECYCLE_NOTIFY_TIMEOUT_MS })
+                    .then(() => { }, error => logger.warn("[ArcaidSDK LifecycleModule] Reporting gameReady failed:", error));
+            }
+            return this.readyPromise;
+        }
+        dispose() {
+            document.removeEventListener('visibilitychange', this._onVisibilityChange);
+            this.onPauseListeners.clear();
+            this.onResumeListeners.clear();
+            this.onMuteChangedListeners.clear();
+        }
+        _pause(reason) {
+            const wasPaused = this.isPaused;
+            this.pauseReasons.add(reason);
+            if (!wasPaused) {
+                this.onPauseListeners.forEach(cb => cb({ reason }));
+            }
+        }
+        _resume(reason) {
+            if (!this.pauseReasons.delete(reason) || this.isPaused) {
+                return;
+            }
+            this.onResumeListeners.forEach(cb => cb({ reason }));
+        }
+    }
+    const TRACE_DEFAULT_MAX_MESSAGES = 10000;
+    // Platform config fields a replay needs to initialize the game the way the platform did.
+    const TRACE_CONFIG_KEYS = ["gameId", "arcaidApiBaseUrl", "sdkVersion", "userSession"];
+    /**
+     * Records the messages exchanged with the platform into a JSON trace for `ReplayTransport`.
+     * Messages are copied when recorded, so later mutations by the game don't change the trace.
+     */
+    class MessageRecorder {
+        constructor(config, options = {}) {
+            this.startedAt = Date.now();
+            this.redact = options.redact !== false;
+            this.maxMessages = options.maxMessages || TRACE_DEFAULT_MAX_MESSAGES;
+            this.truncated = false;
+            this.messages = [];
+            const recordedConfig = {};
+            TRACE_CONFIG_KEYS.forEach(key => {
+                if (config[key] !== undefined) {
+                    recordedConfig[key] = config[key];
+                }
+            });
+            this.config = this._copy(recordedConfig);
+        }
+        record(direction, message) {
+            if (this.messages.length >= this.maxMessages) {
+                this.truncated = true;
+                return;
+            }
+            this.messages.push({ at: Date.now() - this.startedAt, direction, message: this._copy(message) });
+        }
+        toTrace() {
+            return {
+                format: "arcaid-trace",
+                version: 1,
+                recordedAt: new Date(this.startedAt).toISOString(),
+                config: this.config,
+                truncated: this.truncated,
+                messages: this.messages.slice(),
+            };
+        }
+        _copy(value) {
+            const json = JSON.stringify(this.redact ? redact(value) : value, (key, item) => typeof item === 'bigint' ? item.toString() : item);
+            return json === undefined ? null : JSON.parse(json);
+        }
+    }
+    const DEBUG_OVERLAY_MAX_ENTRIES = 200;
+    const DEBUG_OVERLAY_REFRESH_MS = 1000;
+    const DEBUG_OVERLAY_ROOM_MAX_CHARS = 4000;
+    /**
+     * In-page message inspector shown with `debug: { overlay: true }`. Lists every request sent to the platform with
+     * its latency and outcome, every message received, the requests still pending and the current room state.
+     * It hooks in as the outermost middleware, so it sees requests the way the game made them, retries included.
+     */
+    class DebugOverlay {
+        constructor(sdkInstance) {
+            this.sdkInstance = sdkInstance;
+            this.entries = [];
+            this.pending = new Set();
+            this.collapsed = false;
+            this.renderScheduled = false;
+            this.root = null;
+            this._removeMiddleware = sdkInstance.use({
+                request: (request, next) => this._trackRequest(request, next),
+                message: (message, next) => {
+                    this._addEntry({ direction: "in", type: message.type, at: Date.now(), messageId: message.messageId });
+                    next(message);
+                },
+            });
+            this.refreshTimer = setInterval(() => this._render(), DEBUG_OVERLAY_REFRESH_MS);
+            this._mount();
+        }
+        destroy() {
+            this._removeMiddleware();
+            clearInterval(this.refreshTimer);
+            if (this.root && this.root.parentNode) {
+                this.root.parentNode.removeChild(this.root);
+            }
+            this.root = null;
+        }
+        async _trackRequest(request, next) {
+            const entry = { direction: "out", type: request.type, at: Date.now(), status: "pending" };
+            this.pending.add(entry);
+            this._addEntry(entry);
+            try {
+                const response = await next(request);
+                entry.status = "ok";
+                return response;
+            }
+            catch (error) {
+                entry.status = error && error.code === ArcaidErrorCode.TIMEOUT ? "timeout" : `error ${(error && error.code) || ""}`.trim();
+                throw error;
+            }
+            finally {
+                entry.latencyMs = Date.now() - entry.at;
+                this.pending.delete(entry);
+                this._scheduleRender();
+            }
+        }
+        _addEntry(entry) {
+            this.entries.push(entry);
+            if (this.entries.length > DEBUG_OVERLAY_MAX_ENTRIES) {
+                this.entries.shift();
+            }
+            this._scheduleRender();
+        }
+        _scheduleRender() {
+            if (this.renderScheduled) {
+                return;
+            }
+            this.renderScheduled = true;
+            setTimeout(() => {
+                this.renderScheduled = false;
+                this._render();
+            }, 0);
+        }
+        _mount() {
+            if (typeof document === 'undefined') {
+                return;
+            }
+            const root = document.createElement("div");
+            root.setAttribute("data-arcaid-debug-overlay", "");
+            root.style.cssText = "position:fixed;right:0;bottom:0;z-index:2147483647;width:420px;max-width:100vw;max-height:50vh;"
+                + "overflow:auto;background:rgba(17,17,17,0.9);color:#e6e6e6;font:11px/1.4 monospace;padding:6px;box-sizing:border-box;";
+            const header = document.createElement("div");
+            header.style.cssText = "display:flex;justify-content:space-between;font-weight:bold;margin-bottom:4px;";
+            header.textContent = "Arcaid SDK";
+            const toggle = document.createElement("button");
+            toggle.type = "button";
+            toggle.textContent = "hide";
+            toggle.style.cssText = "font:inherit;cursor:pointer;";
+            toggle.addEventListener("click", () => {
+                this.collapsed = !this.collapsed;
+                toggle.textContent = this.collapsed ? "show" : "hide";
+                this._render();
+            });
+            header.appendChild(toggle);
+            this.body = document.createElement("pre");
+            this.body.style.cssText = "margin:0;white-space:pre-wrap;word-break:break-all;";
+            root.appendChild(header);
+            root.appendChild(this.body);
+            (document.body || document.documentElement).appendChild(root);
+            this.root = root;
+        }
+        _render() {
+            if (!this.root) {
+                return;
+            }
+            this.body.style.display = this.collapsed ? "none" : "";
+            if (this.collapsed) {
+                return;
+            }
+            const now = Date.now();
+            const pending = Array.from(this.pending).map(entry => `  ${entry.type}  ${now - entry.at}ms`);
+            // Newest first, so the latest traffic is visible without scrolling.
+            const messages = this.entries.slice().reverse().map(entry => {
+                const time = new Date(entry.at).toISOString().slice(11, 23);
+                if (entry.direction === "in") {
+                    return `${time} ← ${entry.type}${entry.messageId ? "" : " (event)"}`;
+                }
+                const outcome = entry.status === "pending" ? "pending" : `${entry.status} ${entry.latencyMs}ms`;
+                return `${time} → ${entry.type}  ${outcome}`;
+            });
+            let room = "none";
+            const roomState = this.sdkInstance.multiplayer.room;
+            if (roomState) {
+                room = JSON.stringify(redact(roomState), (key, value) => typeof value === 'bigint' ? value.toString() : value, 2);
+                if (room.length > DEBUG_OVERLAY_ROOM_MAX_CHARS) {
+                    room = `${room.slice(0, DEBUG_OVERLAY_ROOM_MAX_CHARS)}\n…`;
+                }
+            }
+            // textContent, not innerHTML: message types and room state come from the platform and other players.
+            this.body.textContent = [
+                `Pending requests (${pending.length})`,
+                ...pending,
+                "",
+                "Room",
+                room,
+                "",
+                "Messages",
+                ...messages,
+            ].join("\n");
+        }
+    }
+    // Ensure ArcaidCore is defined on window before assigning to it
+    if (!window.ArcaidCore) {
+        window.ArcaidCore = {};
+    }
+    let sdkInstance = null;
+    // Checked by the loader before initialize() is called. Bump the minor for additions and the major for breaking changes.
+    window.ArcaidCore.apiVersion = "1.1.0";
+    window.ArcaidCore.errors = {
+        ArcaidErrorCode,
+        ArcaidError,
+        ArcaidTimeoutError,
+        ArcaidValidationError,
+        ArcaidPlatformError,
+        ArcaidSecurityError,
+    };
+    window.ArcaidCore.initialize = async (finalConfig) => {
+        logger.setLevel(resolveDebugOptions(finalConfig.debug).level);
+        logger.info("Arcaid Core SDK: Initializing with config:", finalConfig);
+        if (sdkInstance) {
+            // Only one instance talks to the platform at a time.
+            sdkInstance.dispose();
+        }
+        sdkInstance = new ArcaidSDKInstanceImpl(finalConfig);
         await sdkInstance._initializeModules();
         // Expose the update function for the parent to call
         // Important: .bind(instance) ensures 'this' context is correct when called from parent
         window.ArcaidCore._updateSdkConfig = sdkInstance._updatePlatformConfig.bind(sdkInstance);
-        console.log("Arcaid Core SDK: Instance created. Ready promise pending full config (e.g. user session).");
+        logger.info("Arcaid Core SDK: Instance created. Ready promise pending platform config.");
         return sdkInstance;
     };
     // The actual class ArcaidSDKInstance used by the loader is expected to be defined/typed
     // in a way that's compatible with ArcaidSDKInstanceImpl, ideally sharing a common interface.
     // For the purpose of this file, ArcaidSDKInstanceImpl is the concrete implementation.
-    // Listen for configuration updates from the parent platform after initial load
-    window.addEventListener('message', (event) => {
-        const expectedOrigin = sdkInstance?.currentConfig?.platformOrigin;
-        if (expectedOrigin && expectedOrigin !== '*' && event.origin !== expectedOrigin) {
-            // console.warn(`[ArcaidCoreSDK] Message from origin ${event.origin} ignored. Expected ${expectedOrigin}.`);
-            return;
-        }
-        const data = event.data;
-        if (data && data.source === "ARCAID_PLATFORM" && sdkInstance) {
-            sdkInstance._handleMessageFromPlatform(data);
-        }
-        // Old logic for routing, now handled by sdkInstance._handleMessageFromPlatform
-        // if (data && data.source === "ARCAID_PLATFORM") {
-        //     if (data.type === "ARCAID_UPDATE_USER_SESSION") {
-        //         console.log('[ArcaidCoreSDK] Received ARCAID_UPDATE_USER_SESSION from parent:', data.payload);
-        //         sdkInstance?._updatePlatformConfig(data.payload as Partial<ArcaidConfigForCore>);
-        //     } else if (data.type && data.type.startsWith("MULTIPLAYER_")) {
-        //         // MultiplayerModule handles its own messages (responses and events)
-        //         sdkInstance?.multiplayer.handlePlatformMessage(data as PlatformResponseBase<string, any>);
-        //     } else if (data.type === "GET_USER_BALANCE_RESPONSE") {
-        //         // WalletModule handles its own messages (responses)
-        //         sdkInstance?.wallet.handlePlatformMessage(data as PlatformResponseBase<string, any>);
-        //     } else {
-        //         // console.log("[ArcaidCoreSDK] Received unhandled message from platform:", data);
-        //     }
-        // }
-    });
+    // Errors after which retrying a reconnect cannot succeed.
+    const NON_RECOVERABLE_RECONNECT_CODES = new Set([
+        ArcaidErrorCode.ROOM_NOT_FOUND,
+        ArcaidErrorCode.UNAUTHORIZED,
+        ArcaidErrorCode.SESSION_EXPIRED,
+        ArcaidErrorCode.SECURITY_ERROR,
+        ArcaidErrorCode.NO_PARENT,
+        ArcaidErrorCode.CANCELLED,
+    ]);
+    /**
+     * Holds the latest state of the current room.
+     * Accepts full ArcaidRoomUpdatePayload snapshots as well as incremental JSON-patch (RFC 6902) updates,
+     * and reports what changed between two states so the Multiplayer module can emit granular events.
+     */
+    class RoomStateStore {
+        constructor() {
+            this.state = null;
+            this.version = null; // Version of the last snapshot/patch applied, if the platform sends one
+        }
+        reset() {
+            this.state = null;
+            this.version = null;
+        }
+        /**
+         * Replaces the state with a full snapshot.
+         * @returns The previous state, for diffing.
+         */
+        applySnapshot(snapshot, version) {
+            const previous = this.state;
+            this.state = cloneJson(snapshot);
+            this.version = version !== undefined ? version : null;
+            return previous;
+        }
+        /**
+         * Applies a JSON patch on top of the current state.
+         * Operations are applied to a copy, so a failing patch leaves the state untouched.
+         * @returns The previous state, for diffing.
+         * @throws If there is no base state, the patch does not follow the current version, or an operation fails.
+         */
+        applyPatch(operations, baseVersion, version) {
+            if (!this.state) {
+                throw new Error("No room state to apply patch to.");
+            }
+            if (baseVersion !== undefined && this.version !== null && baseVersion !== this.version) {
+                throw new Error(`Room patch is based on version ${baseVersion}, but current version is ${this.version}.`);
+            }
+            const previous = this.state;
+            let next = cloneJson(previous);
+            for (const operation of operations) {
+                next = applyJsonPatchOperation(next, operation);
+            }
+            this.state = next;
+            this.version = version !== undefined ? version : this.version;
+            return previous;
+        }
+        /**
+         * Lists what changed from `previous` to the current state.
+         */
+        diff(previous) {
+            const current = this.state;
+            const changes = { joined: [], left: [], hostChanged: null, betsPlaced: [], timeLeftChanged: false };
+            if (!current) {
+                return changes;
+            }
+            const previousPlayers = new Map(((previous && previous.players) || []).map(player => [player.userId, player]));
+            const currentPlayers = new Map((current.players || []).map(player => [player.userId, player]));
+            currentPlayers.forEach((player, userId) => {
+                if (!previousPlayers.has(userId)) {
+                    changes.joined.push(player);
+                }
+            });
+            previousPlayers.forEach((player, userId) => {
+                if (!currentPlayers.has(userId)) {
+                    changes.left.push(player);
+                }
+            });
+            const previousHost = previous ? previous.hostUserId : undefined;
+            if (current.hostUserId !== previousHost && (previous || current.hostUserId)) {
+                changes.hostChanged = { previousHostUserId: previousHost || null, hostUserId: current.hostUserId || null };
+            }
+            const betKey = bet => `${bet.userId}:${bet.txHash}`;
+            const previousBets = new Set(((previous && previous.bets) || []).map(betKey));
+            changes.betsPlaced = (current.bets || []).filter(bet => !previousBets.has(betKey(bet)));
+            changes.timeLeftChanged = !previous || previous.timeLeft !== current.timeLeft;
+            return changes;
+        }
+    }
+    function cloneJson(value) {
+        return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+    }
+    // Patches come from the platform; these keys would reach Object.prototype instead of the room state.
+    const UNSAFE_POINTER_TOKENS = new Set(["__proto__", "constructor", "prototype"]);
+    function hasOwn(object, key) {
+        return Object.prototype.hasOwnProperty.call(object, key);
+    }
+    function parseJsonPointer(path) {
+        if (path === "") {
+            return [];
+        }
+        if (typeof path !== 'string' || path[0] !== "/") {
+            throw new Error(`Invalid JSON pointer "${path}".`);
+        }
+        const tokens = path.substring(1).split("/").map(token => token.replace(/~1/g, "/").replace(/~0/g, "~"));
+        if (tokens.some(token => UNSAFE_POINTER_TOKENS.has(token))) {
+            throw new Error(`Unsafe JSON pointer "${path}".`);
+        }
+        return tokens;
+    }
+    function getJsonPointer(document, tokens) {
+        return tokens.reduce((node, token) => {
+            if (node === null || typeof node !== 'object' || !hasOwn(node, token)) {
+                throw new Error(`Path "/${tokens.join("/")}" does not exist.`);
+            }
+            return node[token];
+        }, document);
+    }
+    // Applies a single RFC 6902 operation and returns the new document (which is the same object unless the root was replaced).
+    function applyJsonPatchOperation(document, operation) {
+        const tokens = parseJsonPointer(operation.path);
+        switch (operation.op) {
+            case "test":
+                if (JSON.stringify(getJsonPointer(document, tokens)) !== JSON.stringify(operation.value)) {
+                    throw new Error(`Test failed at "${operation.path}".`);
+                }
+                return document;
+            case "move":
+            case "copy": {
+                const value = cloneJson(getJsonPointer(document, parseJsonPointer(operation.from)));
+                if (operation.op === "move") {
+                    document = applyJsonPatchOperation(document, { op: "remove", path: operation.from });
+                }
+                return applyJsonPatchOperation(document, { op: "add", path: operation.path, value });
+            }
+        }
+        if (tokens.length === 0) {
+            // Operations on the root replace (or clear) the whole document.
+            return operation.op === "remove" ? null : cloneJson(operation.value);
+        }
+        const parent = getJsonPointer(document, tokens.slice(0, -1));
+        const key = tokens[tokens.length - 1];
+        if (parent === null || typeof parent !== 'object') {
+            throw new Error(`Cannot apply "${operation.op}" at "${operation.path}".`);
+        }
+        const isArray = Array.isArray(parent);
+        const index = isArray ? (key === "-" ? parent.length : Number(key)) : null;
+        if (isArray && (!Number.isInteger(index) || index < 0 || index > parent.length)) {
+            throw new Error(`Invalid array index at "${operation.path}".`);
+        }
+        switch (operation.op) {
+            case "add":
+                if (isArray) {
+                    parent.splice(index, 0, cloneJson(operation.value));
+                }
+                else {
+                    parent[key] = cloneJson(operation.value);
+                }
+                return document;
+            case "replace":
+            case "remove":
+                if (isArray ? index >= parent.length : !hasOwn(parent, key)) {
+                    throw new Error(`Path "${operation.path}" does not exist.`);
+                }
+                if (operation.op === "remove") {
+                    if (isArray) {
+                        parent.splice(index, 1);
+                    }
+                    else {
+                        delete parent[key];
+                    }
+                }
+                else {
+                    parent[isArray ? index : key] = cloneJson(operation.value);
+                }
+                return document;
+            default:
+                throw new Error(`Unsupported patch operation "${operation.op}".`);
+        }
+    }
+    /**
+     * Orders the inputs committed by the platform by their sequence number. Duplicates are dropped, and inputs
+     * that arrive ahead of a gap are held back until the inputs before them arrive.
+     */
+    class CommittedInputBuffer {
+        constructor() {
+            this.reset(null);
+        }
+        reset(roomId, lastSequence) {
+            this.roomId = roomId;
+            this.lastSequence = typeof lastSequence === 'number' ? lastSequence : null; // Null until the first commit
+            this.held = new Map(); // sequence -> commit
+        }
+        /**
+         * Adds a commit.
+         * @returns The commits that can now be delivered, in sequence order.
+         */
+        add(commit) {
+            if (this.lastSequence !== null && commit.sequence <= this.lastSequence) {
+                return [];
+            }
+            this.held.set(commit.sequence, commit);
+            if (this.lastSequence === null) {
+                // Joined mid-stream without a known position: start at the first commit seen.
+                this.lastSequence = commit.sequence - 1;
+            }
+            const ready = [];
+            while (this.held.has(this.lastSequence + 1)) {
+                this.lastSequence += 1;
+                ready.push(this.held.get(this.lastSequence));
+                this.held.delete(this.lastSequence);
+            }
+            return ready;
+        }
+        get hasGap() {
+            return this.held.size > 0;
+        }
+    }
+    // How long an out-of-order input waits for the inputs before it before they are fetched from the platform.
+    const INPUT_GAP_TIMEOUT_MS = 1000;
+    const ROOM_REQUEST_DEFAULT_TIMEOUT_MS = 10000;
+    const MATCHMAKING_DEFAULT_TIMEOUT_MS = 30000;
+    const SETTLEMENT_STATUSES = ["pending", "disputed", "settled", "refunded"];
+    // Settlements carry the per-player payouts of a wagered room; amounts are exposed as decimal wei strings.
+    function normalizeSettlement(settlement) {
+        if (!settlement || typeof settlement !== 'object') {
+            return null;
+        }
+        if (settlement.status && !SETTLEMENT_STATUSES.includes(settlement.status)) {
+            logger.warn(`[ArcaidSDK MultiplayerModule] Unknown settlement status "${settlement.status}".`);
+        }
+        return {
+            resultId: null,
+            reason: null,
+            disputeWindowEndsAt: null,
+            settledAt: null,
+            ...settlement,
+            payouts: (settlement.payouts || []).map(payout => ({
+                ...payout,
+                amount: toWeiString(payout.amount) ?? String(payout.amount),
+            })),
+        };
+    }
+    // onRoomError code for incoming room messages that failed validation; platform room errors use their own codes.
+    const INVALID_MESSAGE_ERROR_CODE = 4400;
     class MultiplayerModule {
         constructor(sdkInstance) {
             // private pendingRequests: Map<string, Deferred<any>> = new Map(); // Moved to ArcaidSDKInstanceImpl
@@ -321,8 +2502,48 @@
             this.onGameStartedListeners = new Set();
             this.onGameFinishedListeners = new Set();
             this.onRoomErrorListeners = new Set();
+            this.onReconnectingListeners = new Set();
+            this.onReconnectedListeners = new Set();
+            this.onDisconnectedListeners = new Set();
+            this.onPlayerJoinedListeners = new Set();
+            this.onPlayerLeftListeners = new Set();
+            this.onHostChangedListeners = new Set();
+            this.onBetPlacedListeners = new Set();
+            this.onTimerTickListeners = new Set();
+            this.onInputCommittedListeners = new Set();
+            this.onMatchmakingStatusListeners = new Set();
+            this.onSettlementListeners = new Set();
+            this.roomState = new RoomStateStore();
+            this.committedInputs = new CommittedInputBuffer();
+            this.pendingInputs = []; // Own inputs submitted but not yet committed: { clientSeq, input }
+            this.nextClientSeq = 1;
+            this.inputPrediction = null; // { predict, rollback } hooks, see setInputPrediction()
+            this.inputGapTimer = null;
+            this.pendingRoomRequests = new Map(); // correlationId -> { deferred, timer }
+            this.roomRequestHandlers = new Map(); // messageType -> handler
+            this.messageDefinitions = new Map(); // messageType -> { validator, onInvalid }
+            this.matchmaking = null; // The running findMatch() search: { ticketId, criteria, deferred, timer, ... }
+            this.currentRoomId = null;
+            this.reconnectPromise = null;
             this.sdkInstance = sdkInstance;
         }
+        /**
+         * The latest known state of the current room, kept up to date from room updates and patches.
+         * Treat it as read-only; it is replaced on every change. Null until the first room update arrives.
+         */
+        get room() {
+            return this.roomState.state;
+        }
+        /**
+         * Rejoins the room stored from a previous page load (e.g. after the iframe reloaded), if any.
+         */
+        async initialize() {
+            if (!this._reconnectOptions().autoReconnect || !this._loadReconnectToken()) {
+                return;
+            }
+            await this.sdkInstance.ready();
+            this._autoReconnect().catch(() => { });
+        }
         // generateMessageId and requestParent are removed as they are centralized in ArcaidSDKInstanceImpl
         handlePlatformMessage(data) {
             // This method is now primarily for handling events or messages not caught by ArcaidSDKInstanceImpl._resolvePendingRequest.
@@ -334,26 +2555,72 @@
             if (data.messageId && this.sdkInstance['pendingRequests'].has(data.messageId)) {
                 // This case should ideally not be hit if _resolvePendingRequest in SDK instance works correctly
                 // and the main listener calls it first. This log helps identify if routing is imperfect.
-                console.warn("[ArcaidSDK MultiplayerModule] handlePlatformMessage received a message that should have been handled by SDK instance's pending requests:", data);
+                logger.warn("[ArcaidSDK MultiplayerModule] handlePlatformMessage received a message that should have been handled by SDK instance's pending requests:", data);
                 // Avoid double processing if the SDK instance already handled it.
                 return;
             }
             // This is an event or a message not tied to a pending request known by the SDK instance.
             switch (data.type) {
-                case "MULTIPLAYER_ROOM_UPDATE_EVENT":
-                    console.log('[ArcaidSDK MultiplayerModule] Received MULTIPLAYER_ROOM_UPDATE_EVENT:', data.payload);
-                    this.onRoomUpdateListeners.forEach(cb => cb(data.payload));
+                case "MULTIPLAYER_ROOM_UPDATE_EVENT": {
+                    logger.debug('[ArcaidSDK MultiplayerModule] Received MULTIPLAYER_ROOM_UPDATE_EVENT:', data.payload);
+                    const previous = this.roomState.applySnapshot(data.payload, data.payload && data.payload.version);
+                    this._emitRoomChanges(previous);
+                    break;
+                }
+                case "MULTIPLAYER_ROOM_PATCH_EVENT": {
+                    // Incremental update: { roomId, patch: JsonPatchOperation[], baseVersion?, version? }
+                    const { patch, baseVersion, version } = data.payload || {};
+                    let previous;
+                    try {
+                        previous = this.roomState.applyPatch(patch || [], baseVersion, version);
+                    }
+                    catch (error) {
+                        // Missed or out-of-order patch: fall back to a full snapshot.
+                        logger.warn("[ArcaidSDK MultiplayerModule] Could not apply room patch, resyncing room state:", error);
+                        this._resyncRoomState();
+                        break;
+                    }
+                    this._emitRoomChanges(previous);
                     break;
+                }
                 case "MULTIPLAYER_GAME_STARTED_EVENT":
-                    console.log('[ArcaidSDK MultiplayerModule] Received MULTIPLAYER_GAME_STARTED_EVENT:', data.payload);
+                    logger.debug('[ArcaidSDK MultiplayerModule] Received MULTIPLAYER_GAME_STARTED_EVENT:', data.payload);
                     this.onGameStartedListeners.forEach(cb => cb(data.payload));
                     break;
-                case "MULTIPLAYER_GAME_FINISHED_EVENT":
-                    console.log('[ArcaidSDK MultiplayerModule] Received MULTIPLAYER_GAME_FINISHED_EVENT:', data.payload);
-                    this.onGameFinishedListeners.forEach(cb => cb(data.payload));
+                case "MULTIPLAYER_GAME_FINISHED_EVENT": {
+                    logger.debug('[ArcaidSDK MultiplayerModule] Received MULTIPLAYER_GAME_FINISHED_EVENT:', data.payload);
+                    // Wagered rooms include the settlement when it is already known.
+                    const payload = { ...(data.payload || {}), settlement: normalizeSettlement(data.payload && data.payload.settlement) };
+                    this.onGameFinishedListeners.forEach(cb => cb(payload));
+                    break;
+                }
+                case "MULTIPLAYER_SETTLEMENT_EVENT": {
+                    logger.debug('[ArcaidSDK MultiplayerModule] Received MULTIPLAYER_SETTLEMENT_EVENT:', data.payload);
+                    const settlement = normalizeSettlement(data.payload);
+                    if (settlement) {
+                        this.onSettlementListeners.forEach(cb => cb(settlement));
+                    }
+                    break;
+                }
+                case "MULTIPLAYER_DISCONNECTED_EVENT": {
+                    logger.debug('[ArcaidSDK MultiplayerModule] Received MULTIPLAYER_DISCONNECTED_EVENT:', data.payload);
+                    const canReconnect = this._reconnectOptions().autoReconnect && !!this._loadReconnectToken();
+                    this.onDisconnectedListeners.forEach(cb => cb({ ...(data.payload || {}), willReconnect: canReconnect }));
+                    if (canReconnect) {
+                        this._autoReconnect().catch(() => { });
+                    }
+                    break;
+                }
+                case "MULTIPLAYER_INPUT_COMMITTED_EVENT":
+                    logger.debug('[ArcaidSDK MultiplayerModule] Received MULTIPLAYER_INPUT_COMMITTED_EVENT:', data.payload);
+                    this._receiveCommittedInput(data.payload);
+                    break;
+                case "MULTIPLAYER_MATCHMAKING_STATUS_EVENT":
+                    logger.debug('[ArcaidSDK MultiplayerModule] Received MULTIPLAYER_MATCHMAKING_STATUS_EVENT:', data.payload);
+                    this._receiveMatchmakingStatus(data.payload || {});
                     break;
                 case "MULTIPLAYER_ROOM_ERROR_EVENT":
-                    console.log('[ArcaidSDK MultiplayerModule] Received MULTIPLAYER_ROOM_ERROR_EVENT:', data.payload);
+                    logger.debug('[ArcaidSDK MultiplayerModule] Received MULTIPLAYER_ROOM_ERROR_EVENT:', data.payload);
                     this.onRoomErrorListeners.forEach(cb => cb(data.payload));
                     break;
                 // Handle MULTIPLAYER_ROOM_MESSAGE_EVENT for onMessage listeners
@@ -361,64 +2628,358 @@
                     // console.log('[ArcaidSDK MultiplayerModule] Received MULTIPLAYER_ROOM_MESSAGE_EVENT:', data.payload);
                     if (data.payload && data.payload.messageType !== undefined) {
                         const messageType = data.payload.messageType;
-                        const messageData = data.payload.messageData;
+                        // RPC requests and replies are consumed here and never reach onMessage listeners.
+                        if (data.payload.kind === "response") {
+                            this._resolveRoomRequest(data.payload);
+                            break;
+                        }
+                        if (data.payload.kind === "request") {
+                            this._serveRoomRequest(data.payload);
+                            break;
+                        }
+                        const validation = this._validateMessage(messageType, data.payload.messageData);
+                        if (!validation.valid) {
+                            // Malformed peer messages never reach game code.
+                            this._reportInvalidMessage(data.payload, validation.error);
+                            break;
+                        }
+                        const messageData = validation.data;
+                        const meta = { senderId: data.payload.senderId || null, correlationId: data.payload.correlationId || null };
                         if (this.onRoomMessageListeners.has(messageType)) {
-                            this.onRoomMessageListeners.get(messageType).forEach(cb => cb(messageData));
+                            this.onRoomMessageListeners.get(messageType).forEach(cb => cb(messageData, meta));
                         }
                         // Generic listener for all message types (e.g., if type was registered as '*')
                         if (this.onRoomMessageListeners.has('*')) {
-                            this.onRoomMessageListeners.get('*').forEach(cb => cb({ type: messageType, data: messageData }));
+                            this.onRoomMessageListeners.get('*').forEach(cb => cb({ type: messageType, data: messageData }, meta));
                         }
                     }
                     break;
                 default:
                     // This could be a response type that somehow bypassed the main handler, or an unknown event.
-                    console.log("[ArcaidSDK MultiplayerModule] Received unhandled message/event or non-event message from platform:", data);
+                    logger.debug("[ArcaidSDK MultiplayerModule] Received unhandled message/event or non-event message from platform:", data);
             }
         }
-        async createRoom(roomType, options) {
-            const responsePayload = await this.sdkInstance.requestParent("MULTIPLAYER_CREATE_ROOM_REQUEST", { roomType, options });
+        async createRoom(roomType, options, requestOptions) {
+            const responsePayload = await this.sdkInstance.requestParent("MULTIPLAYER_CREATE_ROOM_REQUEST", { roomType, options }, toRequestOptions(requestOptions));
             // Assuming sdkInstance.requestParent rejects on error (e.g. payload.error is present).
             // If it resolves, responsePayload is the payload from the platform.
             if (!responsePayload || !responsePayload.room) {
-                throw new Error("Create room response did not include room details in payload.");
+                throw new ArcaidError(ArcaidErrorCode.INVALID_RESPONSE, "Create room response did not include room details in payload.", { details: responsePayload });
             }
+            this._onRoomEntered(responsePayload);
             return responsePayload.room;
         }
-        async joinRoom(roomId, options) {
-            const responsePayload = await this.sdkInstance.requestParent("MULTIPLAYER_JOIN_ROOM_REQUEST", { roomId, options });
+        async joinRoom(roomId, options, requestOptions) {
+            const responsePayload = await this.sdkInstance.requestParent("MULTIPLAYER_JOIN_ROOM_REQUEST", { roomId, options }, toRequestOptions(requestOptions));
             if (!responsePayload || !responsePayload.room) {
-                throw new Error("Join room response did not include room details in payload.");
+                throw new ArcaidError(ArcaidErrorCode.INVALID_RESPONSE, "Join room response did not include room details in payload.", { details: responsePayload });
             }
             // TODO: Handle initialState if provided in responsePayload.initialState or responsePayload.room.initialState
+            this._onRoomEntered(responsePayload);
             return responsePayload.room;
         }
-        async reconnect(reconnectToken) {
-            const responsePayload = await this.sdkInstance.requestParent("MULTIPLAYER_RECONNECT_ROOM_REQUEST", { reconnectToken });
+        async reconnect(reconnectToken, options) {
+            const responsePayload = await this.sdkInstance.requestParent("MULTIPLAYER_RECONNECT_ROOM_REQUEST", { reconnectToken }, toRequestOptions(options));
             if (!responsePayload || !responsePayload.room) {
-                throw new Error("Reconnect response did not include room details in payload.");
+                throw new ArcaidError(ArcaidErrorCode.INVALID_RESPONSE, "Reconnect response did not include room details in payload.", { details: responsePayload });
             }
             // Optionally handle initialState if needed
+            // The platform may rotate the token on reconnect; keep the old one if it doesn't send a new one.
+            this._onRoomEntered(responsePayload, reconnectToken);
             return responsePayload.room;
         }
-        async leaveRoom() {
+        async leaveRoom(options) {
             // Assuming the response payload for success is empty or not critically needed.
             // If there's an error, requestParent should reject.
-            await this.sdkInstance.requestParent("MULTIPLAYER_LEAVE_ROOM_REQUEST", {});
+            // Forget the room first so a disconnect racing with the leave doesn't trigger a reconnect.
+            this._clearReconnectToken();
+            this.currentRoomId = null;
+            this.roomState.reset();
+            this._resetInputs(null);
+            this._rejectPendingRoomRequests(new ArcaidError(ArcaidErrorCode.ROOM_NOT_FOUND, "Left the room before the request was answered."));
+            await this.sdkInstance.requestParent("MULTIPLAYER_LEAVE_ROOM_REQUEST", {}, toRequestOptions(options));
             // No explicit error check here; relies on rejection for errors.
         }
-        send(messageType, messageData) {
+        /**
+         * Sends a message to the current room.
+         * @param messageType A string identifying the type of message.
+         * @param messageData The data payload of the message.
+         * @param options.ack Wait for the platform to acknowledge delivery instead of firing and forgetting.
+         * @param options.timeout How long to wait for the acknowledgement, in milliseconds.
+         * @param options.signal An AbortSignal that stops waiting for the acknowledgement.
+         * @returns Nothing, or with `ack` a promise that resolves with the delivery acknowledgement.
+         */
+        send(messageType, messageData, options) {
+            this._assertValidOutgoing(messageType, messageData);
+            const delivery = this.sdkInstance.requestParent("MULTIPLAYER_SEND_ROOM_MESSAGE_REQUEST", {
+                messageType,
+                messageData,
+                kind: "message",
+                correlationId: this.sdkInstance.generateMessageId(),
+            }, toRequestOptions(options));
+            if (options && options.ack) {
+                return delivery;
+            }
             // Fire and forget, but catch potential immediate errors from requestParent (e.g., no parent window)
-            this.sdkInstance.requestParent("MULTIPLAYER_SEND_ROOM_MESSAGE_REQUEST", { messageType, messageData })
-                .catch(err => console.warn("[ArcaidSDK Multiplayer] Send message failed:", err));
+            delivery.catch(err => logger.warn("[ArcaidSDK Multiplayer] Send message failed:", err));
+        }
+        /**
+         * Sends a request to the room and waits for a peer's reply (see handle()).
+         * @param messageType A string identifying the type of request.
+         * @param messageData The data payload of the request.
+         * @param options.timeout How long to wait for the reply, in milliseconds. Defaults to 10000.
+         * @param options.signal An AbortSignal that cancels the request; it then rejects with a CANCELLED error.
+         * @param options.to User ID of the peer that should answer, e.g. the host. Defaults to any peer.
+         * @returns A promise that resolves with the reply data, or rejects with the handler's error or a timeout.
+         */
+        request(messageType, messageData, options) {
+            let requestOptions;
+            try {
+                this._assertValidOutgoing(messageType, messageData);
+                requestOptions = toRequestOptions(options);
+            }
+            catch (error) {
+                return Promise.reject(error);
+            }
+            const { timeout: timeoutMs = ROOM_REQUEST_DEFAULT_TIMEOUT_MS, signal } = requestOptions;
+            if (signal && signal.aborted) {
+                return Promise.reject(createAbortError(messageType, signal));
+            }
+            const correlationId = this.sdkInstance.generateMessageId();
+            const deferred = createDeferred();
+            const timer = setTimeout(() => {
+                this.pendingRoomRequests.delete(correlationId);
+                deferred.reject(new ArcaidTimeoutError(`No reply to room request ${messageType} within ${timeoutMs}ms.`));
+            }, timeoutMs);
+            this.pendingRoomRequests.set(correlationId, { deferred, timer });
+            if (signal) {
+                // A late reply to an aborted request no longer matches a pending entry and is ignored.
+                const onAbort = () => this._settleRoomRequest(correlationId, entry => entry.deferred.reject(createAbortError(messageType, signal)));
+                signal.addEventListener('abort', onAbort, { once: true });
+                deferred.promise.then(() => signal.removeEventListener('abort', onAbort), () => signal.removeEventListener('abort', onAbort));
+            }
+            this.sdkInstance.requestParent("MULTIPLAYER_SEND_ROOM_MESSAGE_REQUEST", {
+                messageType,
+                messageData,
+                kind: "request",
+                correlationId,
+                targetUserId: (options && options.to) || undefined,
+            }, { signal }).catch(error => this._settleRoomRequest(correlationId, entry => entry.deferred.reject(error)));
+            return deferred.promise;
+        }
+        /**
+         * Registers a validator for a room message type. Outgoing send()/request() calls with invalid data throw
+         * an ArcaidValidationError; invalid incoming messages are dropped and, unless `onInvalid` is 'drop',
+         * reported to onRoomError listeners.
+         * @param messageType The message type to validate.
+         * @param validator Either a function returning false (or throwing) for invalid data, or a schema object
+         *   with a `parse(data)` method that throws for invalid data and returns the parsed value (e.g. a zod schema).
+         * @param options.onInvalid 'report' (default) or 'drop' for invalid incoming messages.
+         * @returns A function to remove the definition.
+         */
+        defineMessage(messageType, validator, options) {
+            if (!messageType || (typeof validator !== 'function' && !(validator && typeof validator.parse === 'function'))) {
+                throw new ArcaidValidationError("Arcaid SDK (MultiplayerModule): defineMessage requires a message type and a validator function or schema with parse().");
+            }
+            const definition = { validator, onInvalid: (options && options.onInvalid) || "report" };
+            this.messageDefinitions.set(messageType, definition);
+            return () => {
+                if (this.messageDefinitions.get(messageType) === definition) {
+                    this.messageDefinitions.delete(messageType);
+                }
+            };
+        }
+        /**
+         * Registers the handler that answers room requests of a type. Only one handler per type is allowed.
+         * The handler's return value (or resolved promise value) is sent back as the reply;
+         * a thrown error is sent back and rejects the requester's promise.
+         * @param messageType The request type to serve.
+         * @param handler Function called with the request data and `{ senderId }`.
+         * @returns A function to unregister the handler.
+         */
+        handle(messageType, handler) {
+            if (this.roomRequestHandlers.has(messageType)) {
+                throw new ArcaidValidationError(`Arcaid SDK (MultiplayerModule): A handler for "${messageType}" is already registered.`);
+            }
+            this.roomRequestHandlers.set(messageType, handler);
+            return () => {
+                if (this.roomRequestHandlers.get(messageType) === handler) {
+                    this.roomRequestHandlers.delete(messageType);
+                }
+            };
         }
-        async getAvailableRooms(roomType) {
-            const responsePayload = await this.sdkInstance.requestParent("MULTIPLAYER_GET_AVAILABLE_ROOMS_REQUEST", { roomType });
+        async getAvailableRooms(roomType, options) {
+            const responsePayload = await this.sdkInstance.requestParent("MULTIPLAYER_GET_AVAILABLE_ROOMS_REQUEST", { roomType }, toRequestOptions(options, true));
             // Relies on requestParent to reject on error.
             return responsePayload.rooms || [];
         }
-        async startGame() {
-            await this.sdkInstance.requestParent("MULTIPLAYER_START_GAME_REQUEST", {});
+        /**
+         * Puts the player in the platform's matchmaking queue and joins the room the platform matches them into.
+         * If nothing fits (the platform reports no match, or `timeoutMs` passes), a room with the given criteria
+         * is created instead, for others to be matched into. Progress is reported to onMatchmakingStatus().
+         * @param criteria.roomType The type of room to play in.
+         * @param criteria.betAmount Only match rooms with this bet amount, as in the room metadata.
+         * @param criteria.maxPlayers Only match rooms for this many players.
+         * @param criteria.timeoutMs How long to wait in the queue. Defaults to 30000.
+         * @param criteria.createRoomIfNoMatch Create a room when nothing fits. Defaults to true; if false, the
+         *   search rejects with a TIMEOUT error instead.
+         * @param criteria.roomOptions Extra options for the created room, as for createRoom().
+         * @param options.signal An AbortSignal that cancels the search, like cancelMatchmaking().
+         * @returns A promise that resolves with the joined (or created) room, or rejects with a CANCELLED error
+         *   if the search was cancelled.
+         */
+        async findMatch(criteria, options) {
+            const { roomType, betAmount, maxPlayers, timeoutMs = MATCHMAKING_DEFAULT_TIMEOUT_MS, createRoomIfNoMatch = true, roomOptions } = criteria || {};
+            if (typeof roomType !== 'string' || !roomType) {
+                throw new ArcaidValidationError("Arcaid SDK (MultiplayerModule): findMatch requires a roomType.");
+            }
+            if (betAmount !== undefined && !(typeof betAmount === 'number' && betAmount >= 0) && toWeiString(betAmount) === null) {
+                throw new ArcaidValidationError("Arcaid SDK (MultiplayerModule): betAmount must be a non-negative number, bigint or decimal string.");
+            }
+            if (maxPlayers !== undefined && !(Number.isInteger(maxPlayers) && maxPlayers > 0)) {
+                throw new ArcaidValidationError("Arcaid SDK (MultiplayerModule): maxPlayers must be a positive integer.");
+            }
+            if (typeof timeoutMs !== 'number' || !(timeoutMs > 0)) {
+                throw new ArcaidValidationError("Arcaid SDK (MultiplayerModule): timeoutMs must be a positive number of milliseconds.");
+            }
+            if (this.matchmaking) {
+                throw new ArcaidValidationError("Arcaid SDK (MultiplayerModule): A match is already being searched; cancel it with cancelMatchmaking() first.");
+            }
+            if (this.currentRoomId) {
+                throw new ArcaidValidationError("Arcaid SDK (MultiplayerModule): Leave the current room before searching for a match.");
+            }
+            const requestOptions = toRequestOptions(options);
+            const { signal } = requestOptions;
+            if (signal && signal.aborted) {
+                throw createAbortError("findMatch", signal);
+            }
+            const ticket = {
+                ticketId: this.sdkInstance.generateMessageId(),
+                criteria: { roomType, betAmount: typeof betAmount === 'bigint' ? betAmount.toString() : betAmount, maxPlayers },
+                createRoomIfNoMatch,
+                roomOptions,
+                deferred: createDeferred(),
+                timer: null,
+                queued: false,
+                ending: null, // Promise of a running cancel, see _endMatchmaking()
+                creatingRoom: false,
+            };
+            this.matchmaking = ticket;
+            ticket.timer = setTimeout(() => this._endMatchmaking(ticket, "timeout").catch(() => { }), timeoutMs);
+            const onAbort = () => this._endMatchmaking(ticket, "cancelled").catch(() => { });
+            if (signal) {
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+            try {
+                // The ticket ID is ours, so status events that overtake this response are still recognized.
+                const responsePayload = await this.sdkInstance.requestParent("MULTIPLAYER_FIND_MATCH_REQUEST", { ticketId: ticket.ticketId, ...ticket.criteria, timeoutMs }, { timeout: requestOptions.timeout });
+                if (this.matchmaking === ticket && !ticket.queued) {
+                    ticket.queued = true;
+                    this._emitMatchmakingStatus(ticket, { status: "queued", position: responsePayload && typeof responsePayload.position === 'number' ? responsePayload.position : null });
+                }
+            }
+            catch (error) {
+                this._settleMatchmaking(ticket, { status: "cancelled", reason: "error" }, error);
+            }
+            try {
+                return await ticket.deferred.promise;
+            }
+            finally {
+                if (signal) {
+                    signal.removeEventListener('abort', onAbort);
+                }
+            }
+        }
+        /**
+         * Leaves the matchmaking queue. The pending findMatch() call rejects with a CANCELLED error.
+         * @returns A promise that resolves with true if the search was cancelled, or false if there was none
+         *   or the player had already been matched (findMatch() then resolves with the room).
+         */
+        async cancelMatchmaking(options) {
+            const ticket = this.matchmaking;
+            return ticket ? this._endMatchmaking(ticket, "cancelled", options) : false;
+        }
+        /**
+         * Registers a callback for the progress of findMatch().
+         * @param callback Receives `{ ticketId, status, position, room, created, reason }`. The status is 'queued'
+         *   once in the queue, 'position' when the queue position changes, then 'matched' (with the room, and
+         *   `created: true` if no match was found and a room was created) or 'cancelled' (with the reason:
+         *   'cancelled', 'timeout', 'noMatch', 'platform' or 'error').
+         * @returns A function to unsubscribe the listener.
+         */
+        onMatchmakingStatus(callback) {
+            this.onMatchmakingStatusListeners.add(callback);
+            return () => this.onMatchmakingStatusListeners.delete(callback);
+        }
+        /**
+         * Submits the result of the game in the current room, from the host. The platform announces it to every
+         * player through onGameFinished() and, in wagered rooms, settles the bets once the dispute window has passed.
+         * @param result.rankings User IDs of the players, best first.
+         * @param result.scores Optional scores by user ID.
+         * @param result.proof Optional data the platform can verify the result with, e.g. a hash of the input log.
+         * @returns A promise that resolves with `{ resultId, status, disputeWindowEndsAt }`. Rejects if the
+         *   player is not the host or a result was already submitted.
+         */
+        async submitResult(result, options) {
+            if (!this.currentRoomId) {
+                throw new ArcaidError(ArcaidErrorCode.ROOM_NOT_FOUND, "Cannot submit a result: not in a room.");
+            }
+            const { rankings, scores, proof } = result || {};
+            if (!Array.isArray(rankings) || rankings.length === 0 || !rankings.every(userId => typeof userId === 'string' && userId)) {
+                throw new ArcaidValidationError("Arcaid SDK (MultiplayerModule): submitResult requires rankings, a non-empty array of user IDs.");
+            }
+            if (new Set(rankings).size !== rankings.length) {
+                throw new ArcaidValidationError("Arcaid SDK (MultiplayerModule): rankings must not list a player twice.");
+            }
+            if (scores !== undefined && (typeof scores !== 'object' || scores === null || !Object.values(scores).every(Number.isFinite))) {
+                throw new ArcaidValidationError("Arcaid SDK (MultiplayerModule): scores must map user IDs to finite numbers.");
+            }
+            // The result ID lets the platform recognize a resubmission of the same result, e.g. after a timeout.
+            const resultId = this.sdkInstance.generateMessageId();
+            const responsePayload = await this.sdkInstance.requestParent("MULTIPLAYER_SUBMIT_RESULT_REQUEST", { roomId: this.currentRoomId, resultId, rankings, scores, proof }, toRequestOptions(options));
+            return {
+                resultId: (responsePayload && responsePayload.resultId) || resultId,
+                status: (responsePayload && responsePayload.status) || "pending",
+                disputeWindowEndsAt: (responsePayload && responsePayload.disputeWindowEndsAt) || null,
+            };
+        }
+        /**
+         * Disputes the result submitted for the current room while its dispute window is open. The bets are then
+         * not settled until the platform has reviewed the result; it may refund them.
+         * @param reason Why the result is wrong, for the platform's review.
+         * @returns A promise that resolves with the room's settlement, now 'disputed'.
+         */
+        async disputeResult(reason, options) {
+            if (!this.currentRoomId) {
+                throw new ArcaidError(ArcaidErrorCode.ROOM_NOT_FOUND, "Cannot dispute a result: not in a room.");
+            }
+            const responsePayload = await this.sdkInstance.requestParent("MULTIPLAYER_DISPUTE_RESULT_REQUEST", { roomId: this.currentRoomId, reason }, toRequestOptions(options));
+            return normalizeSettlement(responsePayload && responsePayload.settlement);
+        }
+        /**
+         * Fetches the settlement of a room's bets, e.g. after rejoining or for a room the player has left.
+         * @param roomId The room. Defaults to the current room.
+         * @returns A promise that resolves with the settlement, or null if the room has none yet.
+         */
+        async getSettlement(roomId, options) {
+            const targetRoomId = roomId || this.currentRoomId;
+            if (!targetRoomId) {
+                throw new ArcaidValidationError("Arcaid SDK (MultiplayerModule): getSettlement requires a roomId when not in a room.");
+            }
+            const responsePayload = await this.sdkInstance.requestParent("MULTIPLAYER_GET_SETTLEMENT_REQUEST", { roomId: targetRoomId }, toRequestOptions(options, true));
+            return normalizeSettlement(responsePayload && responsePayload.settlement);
+        }
+        /**
+         * Registers a callback for changes to the settlement of a room's bets: pending during the dispute window,
+         * disputed, settled with the payouts, or refunded (e.g. because no result arrived in time).
+         * @returns A function to unsubscribe the listener.
+         */
+        onSettlement(callback) {
+            this.onSettlementListeners.add(callback);
+            return () => this.onSettlementListeners.delete(callback);
+        }
+        async startGame(options) {
+            await this.sdkInstance.requestParent("MULTIPLAYER_START_GAME_REQUEST", {}, toRequestOptions(options));
             // Relies on rejection for errors.
         }
         /**
@@ -427,13 +2988,72 @@
          * @param roomDocId The ID of the room document
          * @returns A promise that resolves with the response from the platform
          */
-        async addUserInput(playerInput, roomDocId) {
-            const responsePayload = await this.sdkInstance.requestParent("ADD_USER_INPUT_REQUEST", { playerInput, roomDocId });
+        async addUserInput(playerInput, roomDocId, options) {
+            const responsePayload = await this.sdkInstance.requestParent("ADD_USER_INPUT_REQUEST", { playerInput, roomDocId }, toRequestOptions(options));
             if (!responsePayload.success) {
-                throw new Error(responsePayload.error || "Failed to add user input");
+                // Errors in the payload already reject in requestParent; this covers `{ success: false }` without one.
+                throw createPlatformError(responsePayload.error || "Failed to add user input", "ADD_USER_INPUT_RESPONSE");
             }
             return responsePayload;
         }
+        /**
+         * Submits an input to the current room. The platform is the authority: it orders the inputs of all
+         * players and announces each one through onInputCommitted(), including this player's own.
+         * With setInputPrediction(), the input is applied locally right away.
+         * @param input The input data, e.g. a move.
+         * @param options.timeout How long to wait for the platform to accept the input, in milliseconds.
+         * @param options.signal An AbortSignal that stops waiting for the acceptance.
+         * @returns A promise that resolves once the platform accepted the input, with its client sequence number
+         *   and, if already known, its committed sequence and tick. Rejects if the platform rejected the input.
+         */
+        async submitInput(input, options) {
+            if (!this.currentRoomId) {
+                throw new ArcaidError(ArcaidErrorCode.ROOM_NOT_FOUND, "Cannot submit an input: not in a room.");
+            }
+            const requestOptions = toRequestOptions(options);
+            const clientSeq = this.nextClientSeq++;
+            this.pendingInputs.push({ clientSeq, input });
+            if (this.inputPrediction) {
+                this.inputPrediction.predict(input, { clientSeq });
+            }
+            try {
+                const responsePayload = await this.sdkInstance.requestParent("MULTIPLAYER_SUBMIT_INPUT_REQUEST", { roomId: this.currentRoomId, clientSeq, input }, requestOptions);
+                return {
+                    clientSeq,
+                    sequence: responsePayload && typeof responsePayload.sequence === 'number' ? responsePayload.sequence : null,
+                    tick: responsePayload && responsePayload.tick !== undefined ? responsePayload.tick : null,
+                };
+            }
+            catch (error) {
+                this._rejectPendingInput(clientSeq, error);
+                throw error;
+            }
+        }
+        /**
+         * Subscribes to the inputs committed by the platform, from every player, in the platform's order.
+         * Inputs are delivered exactly once and without gaps; missed inputs are fetched from the platform.
+         * @param callback Receives `{ roomId, sequence, tick, playerId, clientSeq, input, isLocal }`.
+         */
+        onInputCommitted(callback) {
+            this.onInputCommittedListeners.add(callback);
+            return () => this.onInputCommittedListeners.delete(callback);
+        }
+        /**
+         * Enables client-side prediction for submitInput(). The game keeps an authoritative state, updated only
+         * from onInputCommitted(), and a predicted state shown to the player:
+         * - `predict(input, { clientSeq })` applies an own input to the predicted state. It is called when the
+         *   input is submitted, and again for every input still pending after a rollback.
+         * - `rollback({ reason, pending, rejected? })` resets the predicted state to the authoritative state.
+         *   It is called when an input is committed out of the predicted order (reason 'reordered', after the
+         *   commit reached onInputCommitted listeners) or when an own input is rejected (reason 'rejected').
+         * @param hooks The prediction hooks, or null to disable prediction.
+         */
+        setInputPrediction(hooks) {
+            if (hooks !== null && (!hooks || typeof hooks.predict !== 'function' || typeof hooks.rollback !== 'function')) {
+                throw new ArcaidValidationError("Arcaid SDK (MultiplayerModule): setInputPrediction requires predict and rollback functions, or null.");
+            }
+            this.inputPrediction = hooks;
+        }
         onRoomUpdate(callback) {
             this.onRoomUpdateListeners.add(callback);
             return () => this.onRoomUpdateListeners.delete(callback);
@@ -462,6 +3082,469 @@
             this.onRoomErrorListeners.add(callback);
             return () => this.onRoomErrorListeners.delete(callback);
         }
+        onPlayerJoined(callback) {
+            this.onPlayerJoinedListeners.add(callback);
+            return () => this.onPlayerJoinedListeners.delete(callback);
+        }
+        onPlayerLeft(callback) {
+            this.onPlayerLeftListeners.add(callback);
+            return () => this.onPlayerLeftListeners.delete(callback);
+        }
+        onHostChanged(callback) {
+            this.onHostChangedListeners.add(callback);
+            return () => this.onHostChangedListeners.delete(callback);
+        }
+        onBetPlaced(callback) {
+            this.onBetPlacedListeners.add(callback);
+            return () => this.onBetPlacedListeners.delete(callback);
+        }
+        onTimerTick(callback) {
+            this.onTimerTickListeners.add(callback);
+            return () => this.onTimerTickListeners.delete(callback);
+        }
+        onReconnecting(callback) {
+            this.onReconnectingListeners.add(callback);
+            return () => this.onReconnectingListeners.delete(callback);
+        }
+        onReconnected(callback) {
+            this.onReconnectedListeners.add(callback);
+            return () => this.onReconnectedListeners.delete(callback);
+        }
+        onDisconnected(callback) {
+            this.onDisconnectedListeners.add(callback);
+            return () => this.onDisconnectedListeners.delete(callback);
+        }
+        /**
+         * Tries to rejoin the stored room with exponential backoff.
+         * Concurrent calls share the same attempt loop.
+         * @returns A promise that resolves with the rejoined room, or rejects once reconnecting is given up.
+         */
+        _autoReconnect() {
+            if (this.reconnectPromise) {
+                return this.reconnectPromise;
+            }
+            const { maxReconnectAttempts, reconnectBaseDelayMs, reconnectMaxDelayMs } = this._reconnectOptions();
+            this.reconnectPromise = (async () => {
+                let lastError = null;
+                try {
+                    for (let attempt = 1; attempt <= maxReconnectAttempts; attempt++) {
+                        const stored = this._loadReconnectToken();
+                        if (!stored) {
+                            // leaveRoom() was called while we were waiting.
+                            throw new ArcaidError(ArcaidErrorCode.ROOM_NOT_FOUND, "Reconnect cancelled: no room to rejoin.");
+                        }
+                        const delayMs = attempt === 1 ? 0 : Math.min(reconnectBaseDelayMs * 2 ** (attempt - 2), reconnectMaxDelayMs);
+                        this.onReconnectingListeners.forEach(cb => cb({ roomId: stored.roomId, attempt, maxAttempts: maxReconnectAttempts, delayMs }));
+                        await wait(delayMs);
+                        try {
+                            const room = await this.reconnect(stored.reconnectToken);
+                            this.onReconnectedListeners.forEach(cb => cb(room));
+                            return room;
+                        }
+                        catch (error) {
+                            lastError = error;
+                            if (error instanceof ArcaidError && NON_RECOVERABLE_RECONNECT_CODES.has(error.code)) {
+                                break;
+                            }
+                        }
+                    }
+                    throw lastError || new ArcaidError(ArcaidErrorCode.UNKNOWN, "Reconnect failed.");
+                }
+                catch (error) {
+                    if (this.sdkInstance.disposed) {
+                        throw error; // Keep the token; the room may be rejoined by the next instance.
+                    }
+                    logger.warn("[ArcaidSDK MultiplayerModule] Giving up reconnecting to room:", error);
+                    this._clearReconnectToken();
+                    this.currentRoomId = null;
+                    this.onDisconnectedListeners.forEach(cb => cb({ reason: "reconnect_failed", error, willReconnect: false }));
+                    throw error;
+                }
+                finally {
+                    this.reconnectPromise = null;
+                }
+            })();
+            return this.reconnectPromise;
+        }
+        /**
+         * Forgets the room locally and removes every listener, handler and message definition.
+         * The reconnect token is kept, so a later instance for this game can still rejoin the room.
+         */
+        dispose() {
+            this._rejectPendingRoomRequests(new ArcaidError(ArcaidErrorCode.CANCELLED, "The Arcaid SDK instance was disposed."));
+            Object.keys(this).filter(key => key.endsWith('Listeners')).forEach(key => this[key].clear());
+            this.roomRequestHandlers.clear();
+            this.messageDefinitions.clear();
+            this.roomState.reset();
+            this._resetInputs(null);
+            this.inputPrediction = null;
+            if (this.matchmaking) {
+                this._settleMatchmaking(this.matchmaking, { status: "cancelled", reason: "cancelled" }, new ArcaidError(ArcaidErrorCode.CANCELLED, "The Arcaid SDK instance was disposed."));
+            }
+            this.currentRoomId = null;
+        }
+        _rejectPendingRoomRequests(error) {
+            this.pendingRoomRequests.forEach(({ deferred, timer }) => {
+                clearTimeout(timer);
+                deferred.reject(error);
+            });
+            this.pendingRoomRequests.clear();
+        }
+        /**
+         * Runs the validator defined for a message type, if any.
+         * @returns `{ valid: true, data }` with the (possibly parsed) data, or `{ valid: false, error }`.
+         */
+        _validateMessage(messageType, messageData) {
+            const definition = this.messageDefinitions.get(messageType);
+            if (!definition) {
+                return { valid: true, data: messageData };
+            }
+            try {
+                if (typeof definition.validator === 'function') {
+                    return definition.validator(messageData) === false
+                        ? { valid: false, error: "Validator rejected the message data." }
+                        : { valid: true, data: messageData };
+                }
+                return { valid: true, data: definition.validator.parse(messageData) };
+            }
+            catch (error) {
+                return { valid: false, error: error instanceof Error ? error.message : String(error) };
+            }
+        }
+        _assertValidOutgoing(messageType, messageData) {
+            const validation = this._validateMessage(messageType, messageData);
+            if (!validation.valid) {
+                throw new ArcaidValidationError(`Arcaid SDK (MultiplayerModule): Invalid "${messageType}" message: ${validation.error}`, { details: messageData });
+            }
+        }
+        _reportInvalidMessage(payload, error) {
+            logger.warn(`[ArcaidSDK MultiplayerModule] Dropped invalid "${payload.messageType}" message from ${payload.senderId || 'unknown sender'}:`, error);
+            const definition = this.messageDefinitions.get(payload.messageType);
+            if (definition && definition.onInvalid === "drop") {
+                return;
+            }
+            this.onRoomErrorListeners.forEach(cb => cb({
+                roomId: this.currentRoomId || undefined,
+                code: INVALID_MESSAGE_ERROR_CODE,
+                message: `Invalid "${payload.messageType}" message: ${error}`,
+                messageType: payload.messageType,
+                senderId: payload.senderId || null,
+            }));
+        }
+        _settleRoomRequest(correlationId, settle) {
+            const entry = this.pendingRoomRequests.get(correlationId);
+            if (!entry) {
+                return;
+            }
+            clearTimeout(entry.timer);
+            this.pendingRoomRequests.delete(correlationId);
+            settle(entry);
+        }
+        _resolveRoomRequest(payload) {
+            // Replies to other clients' requests are broadcast too; they simply don't match a pending entry.
+            this._settleRoomRequest(payload.correlationId, ({ deferred }) => {
+                if (payload.error) {
+                    deferred.reject(createPlatformError(payload.error, "MULTIPLAYER_ROOM_MESSAGE_EVENT"));
+                }
+                else {
+                    deferred.resolve(payload.messageData);
+                }
+            });
+        }
+        async _serveRoomRequest(payload) {
+            const handler = this.roomRequestHandlers.get(payload.messageType);
+            if (!handler) {
+                // Requests without a target go to every peer; only the ones that serve this type reply.
+                return;
+            }
+            const reply = {
+                messageType: payload.messageType,
+                kind: "response",
+                correlationId: payload.correlationId,
+                targetUserId: payload.senderId || undefined,
+            };
+            const validation = this._validateMessage(payload.messageType, payload.messageData);
+            try {
+                if (!validation.valid) {
+                    this._reportInvalidMessage(payload, validation.error);
+                    throw new ArcaidValidationError(`Invalid "${payload.messageType}" request: ${validation.error}`);
+                }
+                reply.messageData = await handler(validation.data, { senderId: payload.senderId || null });
+            }
+            catch (error) {
+                reply.error = {
+                    code: error instanceof ArcaidError ? error.code : ArcaidErrorCode.PLATFORM_ERROR,
+                    message: error instanceof Error ? error.message : String(error),
+                };
+            }
+            this.sdkInstance.requestParent("MULTIPLAYER_SEND_ROOM_MESSAGE_REQUEST", reply)
+                .catch(err => logger.warn("[ArcaidSDK Multiplayer] Sending reply failed:", err));
+        }
+        _emitRoomChanges(previous) {
+            const room = this.roomState.state;
+            const changes = this.roomState.diff(previous);
+            // Granular events first, so onRoomUpdate listeners see a state the other listeners already reacted to.
+            changes.joined.forEach(player => this.onPlayerJoinedListeners.forEach(cb => cb(player, room)));
+            changes.left.forEach(player => this.onPlayerLeftListeners.forEach(cb => cb(player, room)));
+            if (changes.hostChanged) {
+                this.onHostChangedListeners.forEach(cb => cb(changes.hostChanged, room));
+            }
+            changes.betsPlaced.forEach(bet => this.onBetPlacedListeners.forEach(cb => cb(bet, room)));
+            if (changes.timeLeftChanged) {
+                this.onTimerTickListeners.forEach(cb => cb(room.timeLeft, room));
+            }
+            this.onRoomUpdateListeners.forEach(cb => cb(room));
+        }
+        async _resyncRoomState() {
+            try {
+                const responsePayload = await this.sdkInstance.requestParent("MULTIPLAYER_GET_ROOM_STATE_REQUEST", {});
+                if (responsePayload && responsePayload.state) {
+                    const previous = this.roomState.applySnapshot(responsePayload.state, responsePayload.state.version);
+                    this._emitRoomChanges(previous);
+                }
+            }
+            catch (error) {
+                logger.warn("[ArcaidSDK MultiplayerModule] Room state resync failed:", error);
+            }
+        }
+        _onRoomEntered(responsePayload, previousToken) {
+            const room = responsePayload.room;
+            if (this.roomState.state && this.roomState.state.roomId !== room.roomId) {
+                this.roomState.reset();
+            }
+            if (this.committedInputs.roomId !== room.roomId) {
+                this._resetInputs(room.roomId, room.inputSequence);
+            }
+            else if (this.committedInputs.lastSequence !== null) {
+                // Rejoined the same room: catch up on the inputs committed while we were away.
+                this._fetchMissingInputs(room.roomId).catch(error => logger.warn("[ArcaidSDK MultiplayerModule] Fetching missed inputs failed:", error));
+            }
+            this.currentRoomId = room.roomId;
+            const reconnectToken = responsePayload.reconnectToken || room.reconnectToken || previousToken;
+            if (reconnectToken) {
+                this._storeReconnectToken(room.roomId, reconnectToken);
+            }
+        }
+        _receiveMatchmakingStatus(payload) {
+            const ticket = this.matchmaking;
+            if (!ticket || payload.ticketId !== ticket.ticketId) {
+                return; // A search that already ended
+            }
+            switch (payload.status) {
+                case "queued":
+                case "position":
+                    this._emitMatchmakingStatus(ticket, { status: ticket.queued ? "position" : "queued", position: typeof payload.position === 'number' ? payload.position : null });
+                    ticket.queued = true;
+                    break;
+                case "matched":
+                    // The platform has already put the player in the room, as for a join.
+                    if (!payload.room) {
+                        this._settleMatchmaking(ticket, { status: "cancelled", reason: "error" }, new ArcaidError(ArcaidErrorCode.INVALID_RESPONSE, "Matchmaking status did not include room details.", { details: payload }));
+                        break;
+                    }
+                    this._onRoomEntered(payload);
+                    this._settleMatchmaking(ticket, { status: "matched", room: payload.room, created: false });
+                    break;
+                case "noMatch":
+                    if (!ticket.ending) {
+                        clearTimeout(ticket.timer);
+                        this._matchNotFound(ticket, "noMatch");
+                    }
+                    break;
+                case "cancelled":
+                    this._settleMatchmaking(ticket, { status: "cancelled", reason: "platform" }, new ArcaidError(ArcaidErrorCode.PLATFORM_ERROR, `Matchmaking was cancelled by the platform${payload.reason ? `: ${payload.reason}` : ""}.`, { details: payload }));
+                    break;
+                default:
+                    logger.debug("[ArcaidSDK MultiplayerModule] Ignoring unknown matchmaking status:", payload);
+            }
+        }
+        /**
+         * Takes the ticket out of the platform's queue, then ends the search for the given reason.
+         * @returns A promise that resolves with false if the platform had already matched the player.
+         */
+        _endMatchmaking(ticket, reason, options) {
+            if (ticket.creatingRoom) {
+                return Promise.resolve(false); // Too late; the room is being created
+            }
+            if (!ticket.ending) {
+                clearTimeout(ticket.timer);
+                ticket.ending = (async () => {
+                    try {
+                        const responsePayload = await this.sdkInstance.requestParent("MULTIPLAYER_CANCEL_MATCHMAKING_REQUEST", { ticketId: ticket.ticketId }, toRequestOptions(options));
+                        if (responsePayload && responsePayload.cancelled === false) {
+                            return false; // Already matched; the 'matched' status event settles the search.
+                        }
+                    }
+                    catch (error) {
+                        // The platform drops tickets after the timeoutMs sent with them anyway.
+                        logger.warn("[ArcaidSDK MultiplayerModule] Leaving the matchmaking queue failed:", error);
+                    }
+                    if (this.matchmaking !== ticket) {
+                        return false;
+                    }
+                    if (reason === "timeout") {
+                        this._matchNotFound(ticket, reason);
+                    }
+                    else {
+                        this._settleMatchmaking(ticket, { status: "cancelled", reason }, new ArcaidError(ArcaidErrorCode.CANCELLED, "Matchmaking was cancelled."));
+                    }
+                    return true;
+                })();
+            }
+            return ticket.ending;
+        }
+        async _matchNotFound(ticket, reason) {
+            if (!ticket.createRoomIfNoMatch) {
+                this._settleMatchmaking(ticket, { status: "cancelled", reason }, new ArcaidTimeoutError("No match was found."));
+                return;
+            }
+            ticket.creatingRoom = true;
+            const { roomType, betAmount, maxPlayers } = ticket.criteria;
+            const roomOptions = { ...(ticket.roomOptions || {}) };
+            if (betAmount !== undefined) {
+                roomOptions.betAmount = betAmount;
+            }
+            if (maxPlayers !== undefined) {
+                roomOptions.maxPlayers = maxPlayers;
+            }
+            try {
+                const room = await this.createRoom(roomType, roomOptions);
+                this._settleMatchmaking(ticket, { status: "matched", room, created: true });
+            }
+            catch (error) {
+                this._settleMatchmaking(ticket, { status: "cancelled", reason: "error" }, error);
+            }
+        }
+        _settleMatchmaking(ticket, status, error) {
+            if (this.matchmaking !== ticket) {
+                return;
+            }
+            this.matchmaking = null;
+            clearTimeout(ticket.timer);
+            this._emitMatchmakingStatus(ticket, status);
+            if (error) {
+                ticket.deferred.reject(error);
+            }
+            else {
+                ticket.deferred.resolve(status.room);
+            }
+        }
+        _emitMatchmakingStatus(ticket, status) {
+            const event = { ticketId: ticket.ticketId, position: null, room: null, created: false, reason: null, ...status };
+            this.onMatchmakingStatusListeners.forEach(cb => cb(event));
+        }
+        _resetInputs(roomId, lastSequence) {
+            clearTimeout(this.inputGapTimer);
+            this.inputGapTimer = null;
+            this.committedInputs.reset(roomId, lastSequence);
+            this.pendingInputs = [];
+            this.nextClientSeq = 1;
+        }
+        _receiveCommittedInput(commit) {
+            if (!commit || typeof commit.sequence !== 'number' || (commit.roomId && commit.roomId !== this.committedInputs.roomId)) {
+                return;
+            }
+            this.committedInputs.add(commit).forEach(ready => this._applyCommittedInput(ready));
+            if (!this.committedInputs.hasGap) {
+                clearTimeout(this.inputGapTimer);
+                this.inputGapTimer = null;
+            }
+            else if (!this.inputGapTimer) {
+                this.inputGapTimer = setTimeout(() => {
+                    this.inputGapTimer = null;
+                    this._fetchMissingInputs(this.committedInputs.roomId).catch(error => logger.warn("[ArcaidSDK MultiplayerModule] Fetching missed inputs failed:", error));
+                }, INPUT_GAP_TIMEOUT_MS);
+            }
+        }
+        _applyCommittedInput(commit) {
+            const userId = this.sdkInstance.auth.userState.userId;
+            const isLocal = userId ? commit.playerId === userId : false;
+            const index = isLocal ? this.pendingInputs.findIndex(pending => pending.clientSeq === commit.clientSeq) : -1;
+            // The prediction holds if this is the oldest pending own input; anything else changes the order.
+            const mispredicted = Boolean(this.inputPrediction) && this.pendingInputs.length > 0 && index !== 0;
+            if (index !== -1) {
+                this.pendingInputs.splice(index, 1);
+            }
+            const event = {
+                roomId: this.committedInputs.roomId,
+                sequence: commit.sequence,
+                tick: commit.tick !== undefined ? commit.tick : null,
+                playerId: commit.playerId || null,
+                clientSeq: commit.clientSeq !== undefined ? commit.clientSeq : null,
+                input: commit.input,
+                isLocal,
+            };
+            this.onInputCommittedListeners.forEach(cb => cb(event));
+            // After the listeners, so the game rolls back to an authoritative state that includes this input.
+            if (mispredicted) {
+                this.inputPrediction.rollback({ reason: "reordered", pending: this.pendingInputs.slice() });
+                this._replayPendingInputs();
+            }
+        }
+        _rejectPendingInput(clientSeq, error) {
+            const index = this.pendingInputs.findIndex(pending => pending.clientSeq === clientSeq);
+            if (index === -1) {
+                return; // Already committed, or the room was left.
+            }
+            const [rejected] = this.pendingInputs.splice(index, 1);
+            if (this.inputPrediction) {
+                this.inputPrediction.rollback({ reason: "rejected", pending: this.pendingInputs.slice(), rejected: { ...rejected, error } });
+                this._replayPendingInputs();
+            }
+        }
+        _replayPendingInputs() {
+            this.pendingInputs.forEach(pending => this.inputPrediction.predict(pending.input, { clientSeq: pending.clientSeq }));
+        }
+        async _fetchMissingInputs(roomId) {
+            const fromSequence = this.committedInputs.lastSequence + 1;
+            const responsePayload = await this.sdkInstance.requestParent("MULTIPLAYER_GET_INPUTS_REQUEST", { roomId, fromSequence }, { retries: 2 });
+            if (this.committedInputs.roomId !== roomId) {
+                return; // Left the room meanwhile.
+            }
+            ((responsePayload && responsePayload.inputs) || []).forEach(commit => this._receiveCommittedInput({ ...commit, roomId }));
+        }
+        _reconnectOptions() {
+            const config = this.sdkInstance.currentConfig.multiplayer || {};
+            return {
+                autoReconnect: config.autoReconnect !== false,
+                maxReconnectAttempts: config.maxReconnectAttempts || 5,
+                reconnectBaseDelayMs: config.reconnectBaseDelayMs || 500,
+                reconnectMaxDelayMs: config.reconnectMaxDelayMs || 10000,
+            };
+        }
+        // The token lives in sessionStorage so it survives iframe reloads but not the end of the tab's session.
+        _reconnectStorageKey() {
+            return `arcaid-reconnect-${this.sdkInstance.currentConfig.gameId || 'default'}`;
+        }
+        _storeReconnectToken(roomId, reconnectToken) {
+            try {
+                window.sessionStorage.setItem(this._reconnectStorageKey(), JSON.stringify({ roomId, reconnectToken, savedAt: Date.now() }));
+            }
+            catch (e) {
+                // sessionStorage may be unavailable (e.g. sandboxed iframe); reconnect then only works within this page.
+            }
+        }
+        _loadReconnectToken() {
+            try {
+                const stored = window.sessionStorage.getItem(this._reconnectStorageKey());
+                const parsed = stored ? JSON.parse(stored) : null;
+                return parsed && parsed.reconnectToken ? parsed : null;
+            }
+            catch (e) {
+                return null;
+            }
+        }
+        _clearReconnectToken() {
+            try {
+                window.sessionStorage.removeItem(this._reconnectStorageKey());
+            }
+            catch (e) {
+                // Ignore storage errors.
+            }
+        }
+    }
+    function wait(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
     }
     function createDeferred() {
         let resolve;
@@ -3,21 +3,371 @@
 // declare global block moved to arcaid-globals.d.ts
 (() => {
     "use strict";
-    if (window.Arcaid && window.Arcaid.initCalled) {
-        console.warn("ARCAID SDK: Loader already executed or init called.");
-        // Potentially, if init was called but promise is pending, just return that.
-        // Or, if fully init, allow re-init with new config or return existing instance.
-        // For now, let's assume re-running the loader script itself is an issue.
+    if (window.Arcaid && typeof window.Arcaid.init === 'function') {
+        // The loader was included twice. Keep the existing Arcaid object so a pending or finished init() isn't lost;
+        // use Arcaid.destroy() and Arcaid.init() to start over.
+        console.warn("ARCAID SDK: Loader already executed; keeping the existing Arcaid object.");
         return;
     }
-    let sdkInstancePromise = null;
-    let sdkInitializationError = null;
     let initConfigOptions = null; // Store developer's initial config, now optional
-    // const ARCAID_PLATFORM_ORIGIN = "https://gamedev.localhost:3000"; // Updated to use env var or default // TODO: Make this configurable for different environments without process.env
-    // const ARCAID_PLATFORM_ORIGIN = "https://dev.arcaid.xyz";
-    // const ARCAID_PLATFORM_ORIGIN_PATTERN = /^(http:\/\/localhost:3000|https:\/\/([a-zA-Z0-9-]+\.)*localhost:3000|https:\/\/([a-zA-Z0-9-]+\.)*arcaid\.xyz|https:\/\/arcaid-games\.s3\.us-east-2\.amazonaws\.com)$/;
+    // Default allowlist of platform origins. Games can override it with `trustedOrigins` in Arcaid.init config.
+    const ARCAID_PLATFORM_ORIGIN_PATTERN = /^(http:\/\/localhost:3000|https:\/\/([a-zA-Z0-9-]+\.)*localhost:3000|https:\/\/([a-zA-Z0-9-]+\.)*arcaid\.xyz|https:\/\/arcaid-games\.s3\.us-east-2\.amazonaws\.com)$/;
+    // Major.minor of the core SDK API this loader drives. The core must report the same major and at least this minor.
+    const REQUIRED_CORE_API_VERSION = "1.1";
+    // `{version}` is replaced with the requested sdkVersion, or 'current'.
+    const DEFAULT_CORE_SDK_URLS = ["https://cdn.arcaid.com/sdk/core/v{version}/arcaid-core-sdk.js"];
+    const CORE_SDK_LOAD_RETRIES = 3;
+    const CORE_SDK_RETRY_BASE_DELAY_MS = 500;
+    const CORE_SDK_RETRY_MAX_DELAY_MS = 8000;
+    const TRANSPORT_CONNECT_TIMEOUT_MS = 10000;
+    const WEBSOCKET_RECONNECT_BASE_DELAY_MS = 500;
+    const WEBSOCKET_RECONNECT_MAX_DELAY_MS = 10000;
+    // Loader output follows the `debug` init option like the core SDK's: warnings and errors by default,
+    // everything in debug mode. The loader never logs config or session data; the core SDK logs it redacted.
+    const LOG_LEVELS = { silent: 0, error: 1, warn: 2, info: 3, debug: 4 };
+    let logLevel = LOG_LEVELS.warn;
+    const logger = {
+        error: (...args) => logLevel >= LOG_LEVELS.error && console.error(...args),
+        warn: (...args) => logLevel >= LOG_LEVELS.warn && console.warn(...args),
+        info: (...args) => logLevel >= LOG_LEVELS.info && console.info(...args),
+        debug: (...args) => logLevel >= LOG_LEVELS.debug && console.log(...args),
+    };
+    function setLogLevel(debug) {
+        const level = debug && typeof debug === 'object' && debug.level !== undefined ? debug.level : (debug ? "debug" : "warn");
+        // An unknown level is reported by the core SDK; the loader keeps its default until then.
+        logLevel = LOG_LEVELS[level] !== undefined ? LOG_LEVELS[level] : LOG_LEVELS.warn;
+    }
+    // --- Errors ---
+    // The loader owns the base of the SDK's error hierarchy. The core SDK builds its errors on these classes
+    // (see window.ArcaidCore.errors), so errors from either script pass `instanceof Arcaid.ArcaidError`.
+    /**
+     * Base class of every error the SDK rejects with. Same constructor as the core SDK's ArcaidError.
+     */
+    class ArcaidError extends Error {
+        constructor(code, message, options) {
+            super(message);
+            this.name = "ArcaidError";
+            this.code = code;
+            this.details = options && options.details !== undefined ? options.details : null;
+            this.retryable = options && typeof options.retryable === 'boolean' ? options.retryable : code === "TIMEOUT";
+            if (options && options.cause !== undefined) {
+                this.cause = options.cause;
+            }
+        }
+    }
+    /**
+     * Thrown when a message claiming to come from the platform fails origin or handshake verification.
+     */
+    class ArcaidSecurityError extends ArcaidError {
+        constructor(message, origin) {
+            super("SECURITY_ERROR", message, { retryable: false });
+            this.name = "ArcaidSecurityError";
+            this.origin = origin;
+        }
+    }
+    /**
+     * Thrown when the core SDK cannot be loaded from any URL, or the loaded core SDK is not compatible with this loader.
+     */
+    class ArcaidLoadError extends ArcaidError {
+        constructor(code, message, options = {}) {
+            super(code, message, { retryable: code === "SDK_LOAD_FAILED", cause: options.cause });
+            this.name = "ArcaidLoadError";
+            this.urls = options.urls || [];
+            this.apiVersion = options.apiVersion;
+        }
+    }
+    // Error classes owned by the loader; the core SDK reuses them instead of defining its own.
+    const LOADER_ERROR_CLASSES = new Set(["ArcaidError", "ArcaidSecurityError", "ArcaidLoadError"]);
+    // --- Transports ---
+    // A transport carries the SDK's message envelope ({ source, type, messageId, gameId, payload }) between the game
+    // and the platform: `send(message)`, `onMessage(callback)` returning an unsubscribe function, `close()`, and an
+    // optional `connect()` promise for transports that must be established first. `origin` is the platform origin
+    // for window transports, or null for channels without one. The loader hands the transport to the core SDK.
+    /**
+     * Talks to another window, the parent frame or the opener of a popup, via postMessage.
+     * Only messages from that window at the given origin are delivered.
+     */
+    class PostMessageTransport {
+        constructor(targetWindow, targetOrigin, name) {
+            this.name = name || "postMessage";
+            this.targetWindow = targetWindow;
+            this.origin = targetOrigin;
+            this.listeners = new Set();
+            this._onWindowMessage = (event) => {
+                if (event.source !== this.targetWindow) {
+                    return;
+                }
+                if (event.origin !== this.origin) {
+                    logger.warn(`ARCAID SDK: Ignoring message from unexpected origin "${event.origin}".`);
+                    return;
+                }
+                this.listeners.forEach(cb => cb(event.data));
+            };
+            window.addEventListener("message", this._onWindowMessage);
+        }
+        send(message) {
+            this.targetWindow.postMessage(message, this.origin);
+        }
+        onMessage(callback) {
+            this.listeners.add(callback);
+            return () => this.listeners.delete(callback);
+        }
+        close() {
+            window.removeEventListener("message", this._onWindowMessage);
+            this.listeners.clear();
+        }
+    }
+    /**
+     * Talks over a MessagePort, e.g. one end of a MessageChannel set up by a native WebView host.
+     * Without a port, connect() waits for the host to transfer one in an `ARCAID_TRANSPORT_PORT` window message.
+     */
+    class MessagePortTransport {
+        constructor(port) {
+            this.name = "messageChannel";
+            this.origin = null;
+            this.port = null;
+            this.listeners = new Set();
+            this.queue = []; // Messages sent before the port arrived
+            this.connectPromise = null;
+            this._onWindowMessage = null;
+            if (port) {
+                this._attach(port);
+            }
+        }
+        connect() {
+            if (this.port) {
+                return Promise.resolve();
+            }
+            if (!this.connectPromise) {
+                this.connectPromise = new Promise(resolve => {
+                    this._onWindowMessage = (event) => {
+                        const data = event.data;
+                        // Native hosts post the port without a source window, or from a script injected into this
+                        // window. A page framing the game could forge the message, so its messages are ignored.
+                        if ((event.source !== null && event.source !== window) || !data || data.type !== "ARCAID_TRANSPORT_PORT" || !event.ports || !event.ports[0]) {
+                            return;
+                        }
+                        window.removeEventListener("message", this._onWindowMessage);
+                        this._onWindowMessage = null;
+                        this._attach(event.ports[0]);
+                        resolve();
+                    };
+                    window.addEventListener("message", this._onWindowMessage);
+                });
+            }
+            return this.connectPromise;
+        }
+        send(message) {
+            if (this.port) {
+                this.port.postMessage(message);
+            }
+            else {
+                this.queue.push(message);
+            }
+        }
+        onMessage(callback) {
+            this.listeners.add(callback);
+            return () => this.listeners.delete(callback);
+        }
+        close() {
+            if (this._onWindowMessage) {
+                window.removeEventListener("message", this._onWindowMessage);
+                this._onWindowMessage = null;
+            }
+            if (this.port) {
+                this.port.onmessage = null;
+                this.port.close();
+            }
+            this.listeners.clear();
+            this.queue = [];
+        }
+        _attach(port) {
+            this.port = port;
+            this.port.onmessage = (event) => this.listeners.forEach(cb => cb(event.data)); // Also starts the port
+            this.queue.splice(0).forEach(message => this.port.postMessage(message));
+        }
+    }
+    /**
+     * Talks to a WebSocket bridge that relays messages to the platform as JSON text frames.
+     * Messages sent while the socket is connecting are queued. A dropped connection is re-established
+     * with exponential backoff; requests sent meanwhile are delivered once it is back (or time out).
+     */
+    class WebSocketTransport {
+        constructor(url, protocols) {
+            this.name = "websocket";
+            this.origin = null;
+            this.url = url;
+            this.protocols = protocols;
+            this.socket = null;
+            this.listeners = new Set();
+            this.queue = [];
+            this.connectPromise = null;
+            this.reconnectTimer = null;
+            this.reconnectAttempts = 0;
+            this.closed = false;
+        }
+        connect() {
+            if (!this.connectPromise) {
+                this.connectPromise = new Promise((resolve, reject) => this._open(resolve, reject));
+            }
+            return this.connectPromise;
+        }
+        send(message) {
+            const data = JSON.stringify(message);
+            if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+                this.socket.send(data);
+            }
+            else {
+                this.queue.push(data);
+            }
+        }
+        onMessage(callback) {
+            this.listeners.add(callback);
+            return () => this.listeners.delete(callback);
+        }
+        close() {
+            this.closed = true;
+            clearTimeout(this.reconnectTimer);
+            if (this.socket) {
+                this.socket.close();
+            }
+            this.listeners.clear();
+            this.queue = [];
+        }
+        _open(resolve, reject) {
+            const socket = new WebSocket(this.url, this.protocols);
+            this.socket = socket;
+            let opened = false;
+            socket.onopen = () => {
+                opened = true;
+                this.reconnectAttempts = 0;
+                this.queue.splice(0).forEach(data => socket.send(data));
+                if (resolve) {
+                    resolve();
+                }
+            };
+            socket.onmessage = (event) => {
+                let message;
+                try {
+                    message = JSON.parse(event.data);
+                }
+                catch (e) {
+                    logger.warn("ARCAID SDK: Ignoring malformed message from the WebSocket bridge.");
+                    return;
+                }
+                this.listeners.forEach(cb => cb(message));
+            };
+            socket.onclose = () => {
+                if (this.closed) {
+                    return;
+                }
+                if (!opened && reject) {
+                    // The first connection failed; let the loader report it instead of retrying forever.
+                    reject(new Error(`Could not connect to the WebSocket bridge at ${this.url}.`));
+                    return;
+                }
+                this.reconnectAttempts += 1;
+                const delayMs = Math.min(WEBSOCKET_RECONNECT_BASE_DELAY_MS * 2 ** (this.reconnectAttempts - 1), WEBSOCKET_RECONNECT_MAX_DELAY_MS);
+                logger.warn(`ARCAID SDK: WebSocket bridge disconnected, reconnecting in ${delayMs}ms.`);
+                this.reconnectTimer = setTimeout(() => this._open(null, null), delayMs);
+            };
+        }
+    }
+    /**
+     * Plays a trace recorded with `sdk.startRecording()` back to the game instead of talking to a platform.
+     * The config handshake is answered with the recorded config. Each request is matched to the next recorded
+     * request of the same type and answered with that request's recorded responses, after the recorded latency.
+     * Platform events are delivered at their recorded time once `start()` is called.
+     * `speed` scales all delays: 1 keeps the original timing, Infinity fast-forwards in the recorded order.
+     */
+    class ReplayTransport {
+        constructor(trace, options = {}) {
+            if (!trace || trace.format !== "arcaid-trace" || !Array.isArray(trace.messages)) {
+                throw new Error("ARCAID SDK: ReplayTransport requires a trace recorded with sdk.startRecording().");
+            }
+            const speed = options.speed === undefined ? 1 : options.speed;
+            if (typeof speed !== 'number' || !(speed > 0)) {
+                throw new Error("ARCAID SDK: The replay speed must be a positive number.");
+            }
+            this.name = "replay";
+            this.origin = null;
+            this.trace = trace;
+            this.speed = speed;
+            this.listeners = new Set();
+            this.timers = new Set();
+            this.unmatched = []; // Requests the game sent that the trace has no answer for
+            this.startPromise = null;
+            const sentIds = new Set();
+            this.requests = [];
+            this.responses = new Map(); // recorded request messageId -> its recorded responses
+            this.events = [];
+            trace.messages.forEach(entry => {
+                if (entry.direction === "sent") {
+                    sentIds.add(entry.message.messageId);
+                    this.requests.push(entry);
+                }
+                else if (entry.message.messageId && sentIds.has(entry.message.messageId)) {
+                    const responses = this.responses.get(entry.message.messageId) || [];
+                    responses.push(entry);
+                    this.responses.set(entry.message.messageId, responses);
+                }
+                else {
+                    this.events.push(entry);
+                }
+            });
+        }
+        /**
+         * Starts delivering the recorded platform events. Register the game's listeners first.
+         * @returns A promise that resolves once the last event has been delivered.
+         */
+        start() {
+            if (!this.startPromise) {
+                this.startPromise = Promise.all(this.events.map(entry => this._deliver(entry.message, entry.at)));
+            }
+            return this.startPromise;
+        }
+        send(message) {
+            if (message.type === "REQUEST_ARCAID_PLATFORM_CONFIG") {
+                this._deliver({ source: "ARCAID_PLATFORM", type: "ARCAID_PLATFORM_CONFIG_RESPONSE", messageId: message.messageId, nonce: message.nonce, payload: this.trace.config || {} }, 0);
+                return;
+            }
+            const index = this.requests.findIndex(entry => entry.message.type === message.type);
+            if (index === -1) {
+                this.unmatched.push(message);
+                logger.warn(`ARCAID SDK: The replayed trace has no recorded ${message.type}; it stays unanswered.`);
+                return;
+            }
+            const [request] = this.requests.splice(index, 1);
+            (this.responses.get(request.message.messageId) || []).forEach(response => {
+                this._deliver({ ...response.message, messageId: message.messageId }, response.at - request.at);
+            });
+        }
+        onMessage(callback) {
+            this.listeners.add(callback);
+            return () => this.listeners.delete(callback);
+        }
+        close() {
+            this.timers.forEach(timer => clearTimeout(timer));
+            this.timers.clear();
+            this.listeners.clear();
+        }
+        _deliver(message, delayMs) {
+            return new Promise(resolve => {
+                const timer = setTimeout(() => {
+                    this.timers.delete(timer);
+                    this.listeners.forEach(cb => cb(message));
+                    resolve();
+                }, Math.max(0, delayMs) / this.speed);
+                this.timers.add(timer);
+            });
+        }
+    }
     window.Arcaid = {
         initCalled: false,
+        ArcaidError,
+        ArcaidSecurityError,
+        ArcaidLoadError,
+        transports: { PostMessageTransport, MessagePortTransport, WebSocketTransport, ReplayTransport },
         _coreSdkPromise: null, // Internal promise for core SDK loading and initialization
         init: function (devConfig) {
             this.initCalled = true;
@@ -25,29 +375,42 @@
                 // console.warn("ARCAID SDK: init() called multiple times. Returning existing promise.");
                 return this._coreSdkPromise;
             }
-            if (sdkInitializationError) {
-                return Promise.reject(sdkInitializationError);
-            }
             initConfigOptions = devConfig || {}; // If no devConfig, use empty object
-            this._coreSdkPromise = new Promise(async (resolve, reject) => {
+            setLogLevel(initConfigOptions.debug);
+            const initPromise = new Promise(async (resolve, reject) => {
+                let transport = null;
                 try {
                     let platformConfig = {};
-                    const isInIframe = window.self !== window.top;
-                    if (isInIframe) {
+                    let verifiedPlatformOrigin = null;
+                    transport = createTransport(initConfigOptions.transport, initConfigOptions.trustedOrigins || [ARCAID_PLATFORM_ORIGIN_PATTERN]);
+                    if (transport) {
                         try {
-                            // Request config from parent. 
+                            // Request config from the platform.
                             // initConfigOptions.gameId might be undefined, which is fine.
                             // The platform will provide the authoritative gameId.
-                            platformConfig = await requestConfigFromParent();
+                            await connectTransport(transport);
+                            platformConfig = await requestConfigFromPlatform(transport);
+                            verifiedPlatformOrigin = transport.origin;
                         }
                         catch (e) {
-                            console.warn("ARCAID SDK: Could not get config from parent. Proceeding with developer config.", e);
+                            if (e instanceof ArcaidSecurityError) {
+                                // Never fall back to developer config when the platform failed verification.
+                                throw e;
+                            }
+                            logger.warn("ARCAID SDK: Could not get config from the platform. Proceeding with developer config.", e);
+                            transport.close();
+                            transport = null;
                         }
                     }
                     const mergedConfig = {
                         ...initConfigOptions, // Developer overrides (e.g., local coreSdkUrl)
                         ...platformConfig, // Platform config is base, including gameId, userSession etc.
                     };
+                    // The origin is pinned to the one that completed the handshake; neither the developer
+                    // config nor the config payload may override it. The core SDK only talks to this origin.
+                    mergedConfig.platformOrigin = verifiedPlatformOrigin;
+                    // Only a transport that completed the handshake is handed to the core SDK.
+                    mergedConfig.transport = transport;
                     if (platformConfig.userSession)
                         mergedConfig.userSession = platformConfig.userSession;
                     if (platformConfig.arcaidApiBaseUrl && !initConfigOptions?.arcaidApiBaseUrl) {
@@ -56,63 +419,287 @@
                     if (platformConfig.sdkVersion && !initConfigOptions?.sdkVersion) { // Platform version takes precedence if dev does not specify
                         mergedConfig.sdkVersion = platformConfig.sdkVersion;
                     }
-                    // Core SDK URL determination: dev override > platform provided > dynamic default
-                    const coreSdkUrl = initConfigOptions?.coreSdkUrl || platformConfig.coreSdkUrl || `https://cdn.arcaid.com/sdk/core/v${mergedConfig.sdkVersion || 'current'}/arcaid-core-sdk.js`;
-                    mergedConfig.coreSdkUrl = coreSdkUrl;
-                    console.log("ARCAID Loader: Final config for ArcaidCore.initialize:", JSON.parse(JSON.stringify(mergedConfig)));
-                    await loadScript(coreSdkUrl, 3);
-                    // Access ArcaidCore dynamically and cast its type
-                    const coreSdkObject = window.ArcaidCore;
-                    if (!coreSdkObject || typeof coreSdkObject.initialize !== 'function') {
-                        throw new Error("ARCAID Core SDK failed to load or is invalid (initialize method not found).");
+                    const source = await resolveCoreSdkSource(initConfigOptions, platformConfig, mergedConfig.sdkVersion);
+                    logger.debug(`ARCAID SDK: Loading core SDK from ${source.urls.join(", ")}; transport: ${transport ? transport.name : "none"}.`);
+                    const { coreSdkObject, url } = await loadCoreSdk(source.urls, source.integrity);
+                    mergedConfig.coreSdkUrl = url;
+                    // Expose the core SDK's error subclasses (ArcaidTimeoutError, ...). They are replaced on every load,
+                    // since a core SDK loaded again after destroy() defines new classes. The classes the loader defines
+                    // are kept (the core SDK reuses them), so errors thrown before the core SDK loaded still pass `instanceof` checks.
+                    if (coreSdkObject.errors) {
+                        Object.keys(coreSdkObject.errors)
+                            .filter(name => !LOADER_ERROR_CLASSES.has(name))
+                            .forEach(name => { window.Arcaid[name] = coreSdkObject.errors[name]; });
                     }
                     const sdkInstance = await coreSdkObject.initialize(mergedConfig);
                     resolve(sdkInstance);
                 }
                 catch (error) {
-                    console.error("ARCAID SDK: Initialization failed.", error);
-                    sdkInitializationError = error instanceof Error ? error : new Error(String(error)); // Store error for subsequent calls
+                    logger.error("ARCAID SDK: Initialization failed.", error);
+                    if (transport) {
+                        transport.close();
+                    }
                     reject(error);
                 }
             });
-            return this._coreSdkPromise;
+            this._coreSdkPromise = initPromise;
+            initPromise.catch(() => {
+                // Forget the failed attempt so a later init() can retry, e.g. after a transient network error.
+                if (this._coreSdkPromise === initPromise) {
+                    this._coreSdkPromise = null;
+                    this.initCalled = false;
+                }
+            });
+            return initPromise;
+        },
+        /**
+         * Disposes the SDK instance created by init() and resets the loader, so init() can be called again,
+         * e.g. when a game shell swaps games. Waits for a pending init() and disposes its instance too.
+         */
+        destroy: async function () {
+            const initPromise = this._coreSdkPromise;
+            this._coreSdkPromise = null;
+            this.initCalled = false;
+            if (!initPromise) {
+                return;
+            }
+            try {
+                const sdkInstance = await initPromise;
+                sdkInstance.dispose();
+            }
+            catch (error) {
+                // init() failed, so there is no instance to dispose.
+            }
         }
     };
-    function requestConfigFromParent() {
+    function isTrustedOrigin(origin, trustedOrigins) {
+        return trustedOrigins.some(trusted => trusted instanceof RegExp ? trusted.test(origin) : trusted === origin);
+    }
+    function generateNonce() {
+        const bytes = new Uint8Array(16);
+        window.crypto.getRandomValues(bytes);
+        return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+    // Determines the parent's origin before anything is sent, so the request is never posted to '*'.
+    function getParentOrigin() {
+        if (window.location.ancestorOrigins && window.location.ancestorOrigins.length > 0) {
+            return window.location.ancestorOrigins[0];
+        }
+        return getReferrerOrigin();
+    }
+    function getReferrerOrigin() {
+        try {
+            return document.referrer ? new URL(document.referrer).origin : null;
+        }
+        catch (e) {
+            return null;
+        }
+    }
+    /**
+     * Creates the transport selected by the `transport` init option: a name, `{ type, ...options }`, or a custom
+     * transport object. 'auto' (the default) uses the parent frame when embedded, the opener when running in a
+     * popup, and no transport on a standalone page.
+     */
+    function createTransport(option, trustedOrigins) {
+        const spec = typeof option === 'string' ? { type: option } : (option || {});
+        if (typeof spec.send === 'function') {
+            return spec; // A custom transport
+        }
+        let type = spec.type || 'auto';
+        if (type === 'auto') {
+            // Pages opened from an unrelated site also have an opener; only a trusted one makes this a platform popup.
+            const openerOrigin = window.opener ? getReferrerOrigin() : null;
+            type = window.self !== window.top ? 'iframe' :
+                openerOrigin && isTrustedOrigin(openerOrigin, trustedOrigins) ? 'opener' : null;
+        }
+        switch (type) {
+            case null:
+                return null;
+            case 'iframe':
+                return createWindowTransport(window.parent, getParentOrigin(), trustedOrigins, 'iframe');
+            case 'opener':
+                // A popup can only learn the opener's origin from the referrer, so the platform must not open it with noreferrer.
+                return createWindowTransport(window.opener, getReferrerOrigin(), trustedOrigins, 'opener');
+            case 'messageChannel':
+                return new MessagePortTransport(spec.port);
+            case 'websocket':
+                if (!spec.url) {
+                    throw new Error("ARCAID SDK: The websocket transport requires a url.");
+                }
+                return new WebSocketTransport(spec.url, spec.protocols);
+            default:
+                throw new Error(`ARCAID SDK: Unknown transport "${type}".`);
+        }
+    }
+    // The other window's origin must be trusted before anything is sent to it.
+    function createWindowTransport(targetWindow, targetOrigin, trustedOrigins, name) {
+        if (!targetWindow || targetWindow === window.self) {
+            return null;
+        }
+        if (!targetOrigin || !isTrustedOrigin(targetOrigin, trustedOrigins)) {
+            throw new ArcaidSecurityError(`Platform origin "${targetOrigin || 'unknown'}" is not a trusted Arcaid platform origin.`, targetOrigin);
+        }
+        return new PostMessageTransport(targetWindow, targetOrigin, name);
+    }
+    async function connectTransport(transport) {
+        if (typeof transport.connect !== 'function') {
+            return;
+        }
+        let timeoutHandle = null;
+        try {
+            await Promise.race([
+                transport.connect(),
+                new Promise((_, reject) => {
+                    timeoutHandle = setTimeout(() => reject(new Error(`Timeout connecting the ${transport.name || 'custom'} transport.`)), TRANSPORT_CONNECT_TIMEOUT_MS);
+                }),
+            ]);
+        }
+        finally {
+            clearTimeout(timeoutHandle);
+        }
+    }
+    /**
+     * Performs the config handshake with the platform over the transport.
+     * The request carries a one-time nonce that the platform must echo back. Window transports only deliver
+     * messages from the platform window at its trusted origin, which the core SDK then pins for every later message.
+     */
+    function requestConfigFromPlatform(transport) {
         return new Promise((resolve, reject) => {
             const messageId = `arcaid-config-req-${Date.now()}-${Math.random()}`;
+            const nonce = generateNonce();
             const timeoutDuration = 5000;
             const timeoutHandle = setTimeout(() => {
-                window.removeEventListener("message", messageListener);
-                reject(new Error("Timeout waiting for platform config from parent."));
+                unsubscribe();
+                reject(new Error("Timeout waiting for platform config."));
             }, timeoutDuration);
-            function messageListener(event) {
-                // No origin check, accept all messages
-                const eventData = event.data;
-                if (eventData && eventData.type === "ARCAID_PLATFORM_CONFIG_RESPONSE" && eventData.messageId === messageId) {
-                    clearTimeout(timeoutHandle);
-                    console.log("event origin CONFIG", event.origin);
-                    window.removeEventListener("message", messageListener);
-                    resolve(eventData.payload);
-                }
-            }
-            window.addEventListener("message", messageListener);
-            if (window.parent && window.parent !== window.self) {
-                window.parent.postMessage({
-                    source: "ARCAID_SDK_LOADER",
-                    type: "REQUEST_ARCAID_PLATFORM_CONFIG",
-                    messageId: messageId,
-                    payload: {} // Send gameId for context
-                }, '*'); // Use '*' as target origin
-            }
-            else {
+            const unsubscribe = transport.onMessage(message => {
+                if (!message || message.type !== "ARCAID_PLATFORM_CONFIG_RESPONSE" || message.messageId !== messageId) {
+                    return;
+                }
                 clearTimeout(timeoutHandle);
-                window.removeEventListener("message", messageListener);
-                resolve({});
-            }
+                unsubscribe();
+                if (message.nonce !== nonce) {
+                    reject(new ArcaidSecurityError("Platform config response failed the handshake (nonce mismatch).", transport.origin));
+                    return;
+                }
+                resolve(message.payload || {});
+            });
+            transport.send({
+                source: "ARCAID_SDK_LOADER",
+                type: "REQUEST_ARCAID_PLATFORM_CONFIG",
+                messageId: messageId,
+                nonce: nonce,
+                payload: {}
+            });
         });
     }
-    function loadScript(src, retriesLeft) {
+    /**
+     * Determines where to load the core SDK from and the Subresource Integrity hash to apply.
+     * A developer coreSdkUrl (e.g. a local build) wins and only uses the developer's own integrity hash.
+     * Otherwise a manifest, if configured, provides URLs and hash; then the platform config; then the default CDN.
+     * Mirrors are appended as fallbacks.
+     */
+    async function resolveCoreSdkSource(devConfig, platformConfig, sdkVersion) {
+        if (devConfig.coreSdkUrl) {
+            return {
+                urls: [devConfig.coreSdkUrl, ...(devConfig.coreSdkMirrors || [])],
+                integrity: devConfig.coreSdkIntegrity || null,
+            };
+        }
+        const manifestUrl = devConfig.coreSdkManifestUrl || platformConfig.coreSdkManifestUrl;
+        const manifest = manifestUrl ? await fetchManifest(manifestUrl) : {};
+        const primaryUrls = manifest.urls || (platformConfig.coreSdkUrl ? [platformConfig.coreSdkUrl] : DEFAULT_CORE_SDK_URLS);
+        const urls = [...primaryUrls, ...(platformConfig.coreSdkMirrors || []), ...(devConfig.coreSdkMirrors || [])]
+            .map(url => url.replace("{version}", sdkVersion || 'current'));
+        return {
+            urls: urls.filter((url, index) => urls.indexOf(url) === index),
+            integrity: manifest.integrity || platformConfig.coreSdkIntegrity || devConfig.coreSdkIntegrity || null,
+        };
+    }
+    /**
+     * Fetches the core SDK manifest: `{ urls?: string[], integrity?: string }`.
+     * A configured manifest that cannot be read fails initialization instead of loading the SDK unverified.
+     */
+    async function fetchManifest(manifestUrl) {
+        let lastError = null;
+        for (let attempt = 0; attempt <= CORE_SDK_LOAD_RETRIES; attempt++) {
+            if (attempt > 0) {
+                await delay(getRetryDelay(attempt));
+            }
+            try {
+                const response = await fetch(manifestUrl, { cache: "no-cache", credentials: "omit" });
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+                const manifest = await response.json();
+                if (!manifest || typeof manifest !== 'object' || (manifest.urls !== undefined && !Array.isArray(manifest.urls))) {
+                    throw new Error("Manifest is malformed.");
+                }
+                return manifest;
+            }
+            catch (error) {
+                logger.error(`ARCAID SDK: Failed to load core SDK manifest ${manifestUrl}.`, error);
+                lastError = error;
+            }
+        }
+        throw new ArcaidLoadError("SDK_LOAD_FAILED", `Failed to load the core SDK manifest ${manifestUrl}.`, { urls: [manifestUrl], cause: lastError });
+    }
+    /**
+     * Loads the core SDK from the first URL that works and verifies it. All URLs are tried in order before
+     * waiting with exponential backoff and trying again. A URL that serves an incompatible core SDK
+     * (e.g. a stale mirror) is skipped in later rounds.
+     */
+    async function loadCoreSdk(urls, integrity) {
+        let candidates = urls;
+        let lastError = null;
+        for (let attempt = 0; attempt <= CORE_SDK_LOAD_RETRIES && candidates.length > 0; attempt++) {
+            if (attempt > 0) {
+                await delay(getRetryDelay(attempt));
+            }
+            for (const url of candidates) {
+                try {
+                    delete window.ArcaidCore; // Don't mistake a previous attempt's core SDK for this one
+                    await loadScript(url, integrity);
+                    return { coreSdkObject: verifyCoreSdk(window.ArcaidCore, url), url };
+                }
+                catch (error) {
+                    logger.error(`ARCAID SDK: Failed to load core SDK from ${url} (attempt ${attempt + 1}).`, error);
+                    lastError = error;
+                    if (error instanceof ArcaidLoadError && error.code === "INCOMPATIBLE_SDK_VERSION") {
+                        candidates = candidates.filter(candidate => candidate !== url);
+                    }
+                }
+            }
+        }
+        if (lastError instanceof ArcaidLoadError) {
+            throw lastError;
+        }
+        throw new ArcaidLoadError("SDK_LOAD_FAILED", `Failed to load the core SDK from ${urls.join(", ")}.`, { urls, cause: lastError });
+    }
+    function verifyCoreSdk(coreSdkObject, url) {
+        if (!coreSdkObject || typeof coreSdkObject.initialize !== 'function') {
+            throw new ArcaidLoadError("SDK_LOAD_FAILED", `The script at ${url} is not the ARCAID core SDK (initialize method not found).`, { urls: [url] });
+        }
+        if (!isCompatibleApiVersion(coreSdkObject.apiVersion)) {
+            throw new ArcaidLoadError("INCOMPATIBLE_SDK_VERSION", `The core SDK at ${url} reports API version ${coreSdkObject.apiVersion || 'unknown'}, but this loader requires ${REQUIRED_CORE_API_VERSION}.x. Update the loader script or pin a compatible sdkVersion.`, { urls: [url], apiVersion: coreSdkObject.apiVersion });
+        }
+        return coreSdkObject;
+    }
+    function isCompatibleApiVersion(version) {
+        const match = typeof version === 'string' && /^(\d+)\.(\d+)/.exec(version);
+        if (!match) {
+            return false;
+        }
+        const [requiredMajor, requiredMinor] = REQUIRED_CORE_API_VERSION.split('.').map(Number);
+        return Number(match[1]) === requiredMajor && Number(match[2]) >= requiredMinor;
+    }
+    function getRetryDelay(attempt) {
+        return Math.min(CORE_SDK_RETRY_BASE_DELAY_MS * 2 ** (attempt - 1), CORE_SDK_RETRY_MAX_DELAY_MS);
+    }
+    function delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+    function loadScript(src, integrity) {
         return new Promise((resolve, reject) => {
             // Remove any existing script with the same src to handle retries correctly
             const existingScript = document.querySelector(`script[src="${src}"]`);
@@ -122,21 +709,19 @@
             const script = document.createElement('script');
             script.src = src;
             script.async = true;
+            if (integrity) {
+                // The browser refuses to run the script if its hash doesn't match. SRI requires a CORS request.
+                script.integrity = integrity;
+                script.crossOrigin = "anonymous";
+            }
             script.onload = () => {
                 // console.log(`ARCAID SDK: Script ${src} loaded successfully.`);
                 resolve();
             };
-            script.onerror = (event, source, lineno, colno, error) => {
-                console.error(`ARCAID SDK: Failed to load script ${src}. Retries left: ${retriesLeft - 1}`);
-                if (retriesLeft > 0) {
-                    // Wait a bit before retrying (e.g., exponential backoff or simple delay)
-                    setTimeout(() => {
-                        loadScript(src, retriesLeft - 1).then(resolve).catch(reject);
-                    }, 1000); // 1 second delay
-                }
-                else {
-                    reject(new Error(`Failed to load script ${src} after multiple retries. Error: ${error ? error.message : 'Unknown error'}`));
-                }
+            script.onerror = () => {
+                // Network errors and integrity mismatches both end up here; the browser doesn't tell them apart.
+                script.remove();
+                reject(new Error(`Failed to load script ${src}${integrity ? " (or its integrity check failed)" : ""}.`));
             };
             (document.head || document.documentElement).appendChild(script);
         });
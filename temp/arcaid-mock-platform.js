@@ -0,0 +1,960 @@
+// Mock Arcaid platform for running games outside the Arcaid iframe.
+// Load this script in a host page; it frames the game and answers every message the SDK sends,
+// so games can be developed and tested offline.
+(() => {
+    "use strict";
+    const DEFAULT_USER = {
+        userId: "mock-user-1",
+        name: "Mock Player",
+        avatarUrl: null,
+        linkedAccounts: [],
+        walletAddress: "0x00000000000000000000000000000000000000a1",
+        sessionToken: "mock-session-token",
+    };
+    const DEFAULT_BALANCE = {
+        balance: "1000000000000000000000", // 1000 tokens in wei
+        ticker: "ARC",
+        tokenAddress: "0x0000000000000000000000000000000000000a7c",
+    };
+    const DEFAULT_CAPABILITIES = ["environment", "fullscreen", "share", "toast", "externalUrl"];
+    const DEFAULT_ENVIRONMENT = {
+        locale: "en-US",
+        deviceType: "desktop",
+        theme: "dark",
+        safeAreaInsets: { top: 0, right: 0, bottom: 0, left: 0 },
+    };
+    const DEFAULT_STORAGE_LIMITS = { maxKeyLength: 128, maxValueBytes: 65536 };
+    class ArcaidMockPlatform {
+        /**
+         * @param options.gameUrl URL of the game page to frame.
+         * @param options.container Element the game iframe is appended to. Defaults to document.body.
+         * @param options.gameId Game ID reported to the SDK.
+         * @param options.user The player the game runs as. Pass `{ isLoggedIn: false }` for a guest.
+         * @param options.sessionTtlMs Lifetime of issued session tokens. Sessions never expire if omitted.
+         * @param options.users Other fake players that can join rooms via addPlayer().
+         * @param options.balance Initial wallet balance of the player.
+         * @param options.tokens Balances of other tokens the player holds, for WALLET_GET_BALANCES_REQUEST.
+         * @param options.latencyMs Delay before each response, as a number or `{ min, max }`.
+         * @param options.config Extra config merged into the platform config response.
+         * @param options.capabilities Host features reported to utils.getCapabilities(). Defaults to all.
+         * @param options.environment Overrides of the environment reported to utils.getEnvironment().
+         * @param options.disputeWindowMs How long a submitted result can be disputed before the bets are settled.
+         *   Defaults to 3000.
+         * @param options.storageLimits `{ maxKeyLength, maxValueBytes }` enforced on cloud saves.
+         * @param options.handlers Per-message-type overrides: `(payload, message) => responsePayload`.
+         */
+        constructor(options) {
+            this.options = options || {};
+            this.iframe = null;
+            this.requests = []; // Log of every message received from the game
+            this.timers = new Set();
+            this.roomMessageListeners = new Set();
+            this.roomRequestHandlers = new Map(); // messageType -> handler answering the game's room requests
+            this.pendingRoomRequests = new Map(); // correlationId -> resolve, for requests sent to the game
+            this.requestListeners = new Set();
+            this.user = { ...DEFAULT_USER, isLoggedIn: true, ...(this.options.user || {}) };
+            this.sessionCount = 0;
+            if (this.options.sessionTtlMs) {
+                this.user.expiresAt = Date.now() + this.options.sessionTtlMs;
+            }
+            this.users = this.options.users || [];
+            this.balance = { ...DEFAULT_BALANCE, ...(this.options.balance || {}) };
+            this.tokens = this.options.tokens || [];
+            this.latency = this.options.latencyMs || 0;
+            this.handlers = this.options.handlers || {};
+            this.room = null;
+            this.inputValidator = null;
+            this.capabilities = this.options.capabilities || DEFAULT_CAPABILITIES;
+            this.environment = { ...DEFAULT_ENVIRONMENT, ...(this.options.environment || {}) };
+            this.toasts = []; // Toasts the game asked to show: { message, type, durationMs }
+            this.shares = []; // Content the game asked to share: { title, text, url }
+            this.disputeWindowMs = this.options.disputeWindowMs !== undefined ? this.options.disputeWindowMs : 3000;
+            this.settlements = new Map(); // roomId -> { settlement, result, cancelTimer }
+            this.loadingProgress = 0; // Latest progress the game reported, from 0 to 1
+            this.gameReadyAt = null; // When the game called lifecycle.gameReady()
+            this.availableRooms = [];
+            this.matchmakingTicket = null; // The game's findMatch() ticket while it is queued
+            this.matchedTicketId = null;
+            this.leaderboards = new Map(); // leaderboardId -> entries
+            this.payments = new Map(); // paymentId -> payment, newest last
+            this.storage = new Map(); // userId -> Map(key -> { value, version, updatedAt })
+            this.storageWrites = new Map(); // writeId -> response, so retried writes are applied once
+            this.storageLimits = { ...DEFAULT_STORAGE_LIMITS, ...(this.options.storageLimits || {}) };
+            this._onMessage = (event) => this._handleMessage(event);
+        }
+        /**
+         * Creates the game iframe and starts answering its messages.
+         * @returns The created iframe element.
+         */
+        start() {
+            if (this.iframe) {
+                return this.iframe;
+            }
+            if (!this.options.gameUrl) {
+                throw new Error("ArcaidMockPlatform: gameUrl is required.");
+            }
+            this.gameOrigin = new URL(this.options.gameUrl, window.location.href).origin;
+            window.addEventListener("message", this._onMessage);
+            this.iframe = document.createElement("iframe");
+            this.iframe.src = this.options.gameUrl;
+            this.iframe.allow = "fullscreen";
+            this.iframe.style.border = "0";
+            this.iframe.style.width = "100%";
+            this.iframe.style.height = "100%";
+            (this.options.container || document.body).appendChild(this.iframe);
+            return this.iframe;
+        }
+        /**
+         * Removes the iframe, stops answering messages and cancels scheduled events.
+         */
+        destroy() {
+            window.removeEventListener("message", this._onMessage);
+            this.timers.forEach(timer => clearTimeout(timer));
+            this.timers.clear();
+            if (this.iframe) {
+                this.iframe.remove();
+                this.iframe = null;
+            }
+        }
+        // --- Scripting API ---
+        /**
+         * Sends a platform event to the game.
+         * @param type The message type (e.g. "MULTIPLAYER_GAME_STARTED_EVENT").
+         * @param payload The event payload.
+         */
+        emit(type, payload) {
+            this._post({ source: "ARCAID_PLATFORM", type, payload });
+        }
+        /**
+         * Sends a platform event to the game after a delay.
+         * @returns A function that cancels the scheduled event.
+         */
+        schedule(delayMs, type, payload) {
+            return this._later(delayMs, () => this.emit(type, typeof payload === "function" ? payload() : payload));
+        }
+        /**
+         * Runs a list of `{ at, type, payload }` steps, where `at` is milliseconds from now.
+         * @returns A function that cancels the remaining steps.
+         */
+        script(steps) {
+            const cancels = steps.map(step => this.schedule(step.at || 0, step.type, step.payload));
+            return () => cancels.forEach(cancel => cancel());
+        }
+        /**
+         * Merges changes into the current room and sends a MULTIPLAYER_ROOM_UPDATE_EVENT.
+         */
+        updateRoom(changes) {
+            if (!this.room) {
+                throw new Error("ArcaidMockPlatform: No room has been created or joined.");
+            }
+            Object.assign(this.room, changes || {});
+            this.room.version = (this.room.version || 0) + 1;
+            this.emit("MULTIPLAYER_ROOM_UPDATE_EVENT", this._roomUpdatePayload());
+        }
+        /**
+         * Applies JSON-patch operations to the current room and sends them as a MULTIPLAYER_ROOM_PATCH_EVENT,
+         * the incremental alternative to updateRoom().
+         */
+        patchRoom(operations) {
+            if (!this.room) {
+                throw new Error("ArcaidMockPlatform: No room has been created or joined.");
+            }
+            // The mock only keeps top-level room fields, so patches are applied by their first path segment.
+            const baseVersion = this.room.version || 0;
+            operations.forEach(operation => {
+                const [field, ...rest] = operation.path.substring(1).split("/");
+                if (rest.length === 0) {
+                    if (operation.op === "remove") {
+                        delete this.room[field];
+                    }
+                    else {
+                        this.room[field] = operation.value;
+                    }
+                }
+                else if (Array.isArray(this.room[field]) && rest.length === 1) {
+                    const list = [...this.room[field]];
+                    const index = rest[0] === "-" ? list.length : Number(rest[0]);
+                    if (operation.op === "add") {
+                        list.splice(index, 0, operation.value);
+                    }
+                    else if (operation.op === "remove") {
+                        list.splice(index, 1);
+                    }
+                    else {
+                        list[index] = operation.value;
+                    }
+                    this.room[field] = list;
+                }
+                else {
+                    throw new Error(`ArcaidMockPlatform: patchRoom does not support path "${operation.path}".`);
+                }
+            });
+            this.room.version = baseVersion + 1;
+            this.emit("MULTIPLAYER_ROOM_PATCH_EVENT", { roomId: this.room.roomId, patch: operations, baseVersion, version: this.room.version });
+        }
+        /**
+         * Adds one of the configured fake users (or any player object) to the current room.
+         */
+        addPlayer(userOrIndex) {
+            const user = typeof userOrIndex === "number" ? this.users[userOrIndex] : userOrIndex;
+            const player = {
+                sessionId: user.sessionId || `mock-session-${user.userId}`,
+                userId: user.userId,
+                name: user.name || user.userId,
+                isHost: false,
+            };
+            this.updateRoom({ players: [...this.room.players, player] });
+            return player;
+        }
+        /**
+         * Removes a player from the current room by user ID.
+         */
+        removePlayer(userId) {
+            this.updateRoom({ players: this.room.players.filter(player => player.userId !== userId) });
+        }
+        /**
+         * Delivers a room message to the game as if another player had sent it.
+         */
+        sendRoomMessage(messageType, messageData, fromUserId) {
+            this.emit("MULTIPLAYER_ROOM_MESSAGE_EVENT", { messageType, messageData, kind: "message", correlationId: `mock-msg-${Date.now()}`, senderId: fromUserId || null });
+        }
+        /**
+         * Answers the game's multiplayer.request() calls of a type, as if a peer served them.
+         * The handler receives the request data and returns the reply (or throws to reply with an error).
+         */
+        handleRoomRequest(messageType, handler) {
+            this.roomRequestHandlers.set(messageType, handler);
+        }
+        /**
+         * Sends a room request to the game as if another player had sent it, for games using multiplayer.handle().
+         * @returns A promise that resolves with the game's reply payload `{ messageData, error }`.
+         */
+        sendRoomRequest(messageType, messageData, fromUserId) {
+            const correlationId = `mock-req-${Date.now()}-${Math.random().toString(36).substring(2, 9)}`;
+            return new Promise(resolve => {
+                this.pendingRoomRequests.set(correlationId, resolve);
+                this.emit("MULTIPLAYER_ROOM_MESSAGE_EVENT", { messageType, messageData, kind: "request", correlationId, senderId: fromUserId || null });
+            });
+        }
+        /**
+         * Commits an input as if another player had submitted it, and sends it to the game as a
+         * MULTIPLAYER_INPUT_COMMITTED_EVENT.
+         * @returns The committed input.
+         */
+        commitInput(input, fromUserId, tick) {
+            return this._commitInput({ input, playerId: fromUserId || "mock-host", clientSeq: null, tick });
+        }
+        /**
+         * Decides which of the game's submitted inputs are accepted. The validator receives the input and returns
+         * false (or throws) to reject it. Without a validator every input is accepted.
+         */
+        setInputValidator(validator) {
+            this.inputValidator = validator;
+        }
+        /**
+         * Changes the reported environment and sends a UTILS_ENVIRONMENT_CHANGED_EVENT, e.g. to test a theme switch.
+         */
+        setEnvironment(changes) {
+            this.environment = { ...this.environment, ...changes };
+            this.emit("UTILS_ENVIRONMENT_CHANGED_EVENT", { ...this.environment });
+        }
+        /**
+         * Writes a cloud save entry of the player as if another device had, bumping its version.
+         * Pass `undefined` as the value to delete it. Useful for testing conflicts.
+         * @returns The new version, or null after a delete.
+         */
+        setStorageEntry(key, value) {
+            const entries = this._storageEntries();
+            if (value === undefined) {
+                entries.delete(key);
+                return null;
+            }
+            const previous = entries.get(key);
+            const entry = { value, version: previous ? previous.version + 1 : 1, updatedAt: Date.now() };
+            entries.set(key, entry);
+            return entry.version;
+        }
+        /**
+         * Pauses the game as if the player opened a platform menu. Sends a LIFECYCLE_PAUSE_EVENT.
+         */
+        pause(reason) {
+            this.emit("LIFECYCLE_PAUSE_EVENT", { reason: reason || "menu" });
+        }
+        /**
+         * Resumes the game. Without a reason, ends every pause the host asked for.
+         */
+        resume(reason) {
+            this.emit("LIFECYCLE_RESUME_EVENT", { reason });
+        }
+        setMuted(muted) {
+            this.emit("LIFECYCLE_MUTE_CHANGED_EVENT", { muted });
+        }
+        startGame(initialState) {
+            this.updateRoom({ gameStarted: true });
+            this.emit("MULTIPLAYER_GAME_STARTED_EVENT", { roomId: this.room.roomId, initialState });
+        }
+        finishGame(results) {
+            this.updateRoom({ gameFinished: true });
+            const record = this.settlements.get(this.room.roomId);
+            this.emit("MULTIPLAYER_GAME_FINISHED_EVENT", { roomId: this.room.roomId, results, settlement: record ? { ...record.settlement } : undefined });
+        }
+        /**
+         * Settles the bets of a room now, ending its dispute window: the first player in the submitted rankings
+         * receives every bet. Sends MULTIPLAYER_SETTLEMENT_EVENT, and a payout if the game's player won.
+         * @returns The settlement.
+         */
+        settle(roomId) {
+            const record = this._settlementRecord(roomId);
+            if (!record.result) {
+                throw new Error("ArcaidMockPlatform: No result has been submitted for this room.");
+            }
+            const bets = this.room && this.room.roomId === record.settlement.roomId ? this.room.bets : [];
+            const pot = bets.reduce((sum, bet) => sum + BigInt(bet.amount), 0n);
+            const winner = record.result.rankings[0];
+            const payouts = pot > 0n ? [{ userId: winner, amount: pot.toString(), type: "payout", txHash: `0xmocksettle${Date.now().toString(16)}` }] : [];
+            if (winner === this.user.userId && pot > 0n) {
+                this.payout(pot);
+            }
+            return this._updateSettlement(record, { status: "settled", payouts, settledAt: new Date().toISOString() });
+        }
+        /**
+         * Refunds every bet of a room, e.g. `refundBets(roomId, "hostLeft")` to simulate a host that left mid-game
+         * without submitting a result. Sends MULTIPLAYER_SETTLEMENT_EVENT.
+         * @returns The settlement.
+         */
+        refundBets(roomId, reason) {
+            const record = this._settlementRecord(roomId, true);
+            const bets = this.room && this.room.roomId === record.settlement.roomId ? this.room.bets : [];
+            const payouts = bets.map(bet => ({ userId: bet.userId, amount: bet.amount, type: "refund", txHash: `0xmockrefund${Date.now().toString(16)}` }));
+            const ownRefund = bets.filter(bet => bet.userId === this.user.userId).reduce((sum, bet) => sum + BigInt(bet.amount), 0n);
+            if (ownRefund > 0n) {
+                this._changeBalance(BigInt(this.balance.balance) + ownRefund);
+                this._recordPayment("refund", ownRefund, this.room && this.room.roomDocId, "confirmed");
+            }
+            return this._updateSettlement(record, { status: "refunded", reason: reason || "timeout", payouts, settledAt: new Date().toISOString() });
+        }
+        /**
+         * Simulates a dropped platform connection; the SDK reconnects with its stored token.
+         */
+        disconnect(reason) {
+            this.emit("MULTIPLAYER_DISCONNECTED_EVENT", { reason: reason || "connection_lost" });
+        }
+        roomError(code, message) {
+            this.emit("MULTIPLAYER_ROOM_ERROR_EVENT", { roomId: this.room ? this.room.roomId : undefined, code, message });
+        }
+        /**
+         * Replaces the player's session and sends ARCAID_UPDATE_USER_SESSION (e.g. to simulate a login).
+         */
+        updateUser(changes) {
+            Object.assign(this.user, changes || {});
+            this.emit("ARCAID_UPDATE_USER_SESSION", { userSession: this._userSession() });
+        }
+        /**
+         * Changes a payment and sends PAYMENTS_PAYMENT_UPDATE_EVENT, e.g. `updatePayment(id, { status: "failed" })`.
+         * @returns The updated payment.
+         */
+        updatePayment(paymentId, changes) {
+            const payment = this.payments.get(paymentId);
+            if (!payment) {
+                throw new Error(`ArcaidMockPlatform: Unknown payment ${paymentId}.`);
+            }
+            Object.assign(payment, changes, { updatedAt: new Date().toISOString() });
+            this.emit("PAYMENTS_PAYMENT_UPDATE_EVENT", { ...payment });
+            return { ...payment };
+        }
+        /**
+         * Credits the player with a payout and sends the corresponding payment update.
+         */
+        payout(amount, roomDocId) {
+            this._changeBalance(BigInt(this.balance.balance) + BigInt(amount));
+            const payment = this._recordPayment("payout", BigInt(amount), roomDocId || (this.room && this.room.roomDocId), "confirmed");
+            this.emit("PAYMENTS_PAYMENT_UPDATE_EVENT", { ...payment });
+            return payment;
+        }
+        setBalance(balance) {
+            this._changeBalance(balance);
+        }
+        setLatency(latencyMs) {
+            this.latency = latencyMs;
+        }
+        /**
+         * Sets the rooms returned by MULTIPLAYER_GET_AVAILABLE_ROOMS_REQUEST.
+         */
+        setAvailableRooms(rooms) {
+            this.availableRooms = rooms;
+        }
+        /**
+         * Matches the game's queued findMatch() ticket and puts the player in the room, as if enough players were
+         * found. Without a roomId, a new room hosted by another player is used.
+         */
+        matchPlayer(roomId) {
+            const ticket = this.matchmakingTicket;
+            if (!ticket) {
+                throw new Error("ArcaidMockPlatform: The game is not searching for a match.");
+            }
+            const listed = this.availableRooms.find(room => room.roomId === roomId);
+            this.matchmakingTicket = null;
+            this.matchedTicketId = ticket.ticketId;
+            this._enterRoom(roomId || `mock-match-${Date.now()}`, listed ? listed.metadata : { maxPlayers: ticket.maxPlayers, betAmount: ticket.betAmount }, false);
+            this.emit("MULTIPLAYER_MATCHMAKING_STATUS_EVENT", { ticketId: ticket.ticketId, status: "matched", room: this._roomDetails(), reconnectToken: this.room.reconnectToken });
+        }
+        /**
+         * Reports a new queue position for the game's findMatch() ticket.
+         */
+        setMatchmakingPosition(position) {
+            if (this.matchmakingTicket) {
+                this.emit("MULTIPLAYER_MATCHMAKING_STATUS_EVENT", { ticketId: this.matchmakingTicket.ticketId, status: "position", position });
+            }
+        }
+        /**
+         * Tells the game no match can be found, so findMatch() creates a room instead of waiting for its timeout.
+         */
+        rejectMatch() {
+            const ticket = this.matchmakingTicket;
+            if (ticket) {
+                this.matchmakingTicket = null;
+                this.emit("MULTIPLAYER_MATCHMAKING_STATUS_EVENT", { ticketId: ticket.ticketId, status: "noMatch" });
+            }
+        }
+        /**
+         * Registers a callback for room messages the game sends.
+         * @returns A function to unsubscribe the listener.
+         */
+        onRoomMessage(callback) {
+            this.roomMessageListeners.add(callback);
+            return () => this.roomMessageListeners.delete(callback);
+        }
+        /**
+         * Registers a callback for every message received from the game.
+         * @returns A function to unsubscribe the listener.
+         */
+        onRequest(callback) {
+            this.requestListeners.add(callback);
+            return () => this.requestListeners.delete(callback);
+        }
+        // --- Message handling ---
+        _handleMessage(event) {
+            if (!this.iframe || event.source !== this.iframe.contentWindow) {
+                return;
+            }
+            const message = event.data;
+            if (!message || (message.source !== "ARCAID_SDK" && message.source !== "ARCAID_SDK_LOADER")) {
+                return;
+            }
+            this.requests.push(message);
+            this.requestListeners.forEach(cb => cb(message));
+            let response;
+            try {
+                const handler = this.handlers[message.type] || this._defaultHandlers()[message.type];
+                if (!handler) {
+                    response = { error: `Mock platform does not handle ${message.type}` };
+                }
+                else {
+                    response = handler(message.payload || {}, message);
+                }
+            }
+            catch (error) {
+                response = { error: error instanceof Error ? error.message : String(error) };
+            }
+            if (response === undefined) {
+                return; // Handler chose not to answer (e.g. to simulate a timeout)
+            }
+            const responseType = message.type === "REQUEST_ARCAID_PLATFORM_CONFIG"
+                ? "ARCAID_PLATFORM_CONFIG_RESPONSE"
+                : message.type.replace(/_REQUEST$/, "_RESPONSE");
+            this._later(this._nextLatency(), () => {
+                Promise.resolve(response).then(payload => {
+                    this._post({ source: "ARCAID_PLATFORM", type: responseType, messageId: message.messageId, nonce: message.nonce, payload });
+                });
+            });
+        }
+        _storageEntries() {
+            if (!this.storage.has(this.user.userId)) {
+                this.storage.set(this.user.userId, new Map());
+            }
+            return this.storage.get(this.user.userId);
+        }
+        // Checks login, key length and expectedVersion, then applies the write once per writeId.
+        _storageWrite(payload, apply) {
+            if (!this.user.isLoggedIn) {
+                return { error: { code: "UNAUTHORIZED", message: "Not logged in." } };
+            }
+            if (payload.writeId && this.storageWrites.has(payload.writeId)) {
+                return this.storageWrites.get(payload.writeId);
+            }
+            if (typeof payload.key !== "string" || payload.key.length > this.storageLimits.maxKeyLength) {
+                return { error: { code: "STORAGE_LIMIT_EXCEEDED", message: "Key exceeds the length limit", key: payload.key, limitType: "keyLength", size: String(payload.key).length, limit: this.storageLimits.maxKeyLength } };
+            }
+            const entries = this._storageEntries();
+            const current = entries.get(payload.key);
+            const currentVersion = current ? current.version : null;
+            if (payload.expectedVersion !== undefined && payload.expectedVersion !== currentVersion) {
+                return { error: { code: "CONFLICT", message: `"${payload.key}" is at version ${currentVersion}`, key: payload.key, currentVersion, currentValue: current ? current.value : null } };
+            }
+            const response = apply(entries);
+            if (payload.writeId && !response.error) {
+                this.storageWrites.set(payload.writeId, response);
+            }
+            return response;
+        }
+        _defaultHandlers() {
+            return {
+                REQUEST_ARCAID_PLATFORM_CONFIG: () => ({
+                    gameId: this.options.gameId || "mock-game",
+                    arcaidApiBaseUrl: "http://localhost/mock-api",
+                    userSession: this._userSession(),
+                    storageLimits: this.storageLimits,
+                    ...(this.options.config || {}),
+                }),
+                LOGIN_REQUEST: () => {
+                    this.user.isLoggedIn = true;
+                    this.updateUser(this._issueSession());
+                    return { success: true };
+                },
+                AUTH_LOGOUT_REQUEST: () => {
+                    this.updateUser({ isLoggedIn: false });
+                    return { success: true };
+                },
+                AUTH_LINK_ACCOUNT_REQUEST: (payload) => {
+                    if (!this.user.isLoggedIn) {
+                        return { error: { code: "UNAUTHORIZED", message: "Not logged in." } };
+                    }
+                    const now = new Date().toISOString();
+                    const linkedAccount = {
+                        address: `mock-${payload.type}-${this.user.userId}`,
+                        type: payload.type,
+                        verifiedAt: now,
+                        firstVerifiedAt: now,
+                        latestVerifiedAt: now,
+                        chainType: payload.type === "wallet" ? "ethereum" : "",
+                        walletClientType: "",
+                        connectorType: "",
+                    };
+                    this.user.linkedAccounts = [...(this.user.linkedAccounts || []), linkedAccount];
+                    return { success: true, linkedAccount };
+                },
+                AUTH_REFRESH_SESSION_REQUEST: () => {
+                    if (!this.user.isLoggedIn) {
+                        return { error: { code: "UNAUTHORIZED", message: "Not logged in." } };
+                    }
+                    Object.assign(this.user, this._issueSession());
+                    return { userSession: this._userSession() };
+                },
+                GET_PLAYER_REQUEST: () => ({
+                    auth: this.user.isLoggedIn,
+                    user: this.user.isLoggedIn ? {
+                        id: this.user.userId,
+                        lastLogin: new Date().toISOString(),
+                        uid: this.user.userId,
+                        address: this.user.walletAddress,
+                        displayName: this.user.name,
+                        avatarUrl: this.user.avatarUrl,
+                        linkedAccounts: [...(this.user.linkedAccounts || [])],
+                        updatedAt: new Date().toISOString(),
+                    } : undefined,
+                    currentLobby: null,
+                    balance: { tokenBalance: this.balance.balance, tokenAddress: this.balance.tokenAddress, tokenSymbol: this.balance.ticker },
+                }),
+                GET_USER_BALANCE_REQUEST: () => ({ ...this.balance }),
+                WALLET_GET_BALANCES_REQUEST: () => ({
+                    balances: [{ decimals: 18, ...this.balance }, ...this.tokens.map(token => ({ decimals: 18, ...token }))],
+                }),
+                BET_REQUEST: (payload) => {
+                    const amount = BigInt(payload.amount);
+                    if (amount > BigInt(this.balance.balance)) {
+                        return { success: false, error: { code: "INSUFFICIENT_FUNDS", message: "Insufficient funds" } };
+                    }
+                    this._changeBalance(BigInt(this.balance.balance) - amount);
+                    const payment = this._recordPayment("bet", amount, payload.roomDocId);
+                    if (this.room) {
+                        this.updateRoom({ bets: [...this.room.bets, { userId: this.user.userId, amount: amount.toString(), txHash: payment.transactionHash }] });
+                    }
+                    // Bets confirm shortly after they are accepted, like an on-chain transaction would.
+                    this._later(this._nextLatency() + 500, () => this.updatePayment(payment.paymentId, { status: "confirmed" }));
+                    return { success: true, paymentId: payment.paymentId, status: payment.status, transactionHash: payment.transactionHash };
+                },
+                PAYMENTS_GET_BET_STATUS_REQUEST: (payload) => {
+                    const payment = this.payments.get(payload.paymentId);
+                    return payment ? { ...payment } : { error: { code: "PLATFORM_ERROR", message: "Payment not found" } };
+                },
+                PAYMENTS_CANCEL_BET_REQUEST: (payload) => {
+                    const payment = this.payments.get(payload.paymentId);
+                    if (!payment || payment.type !== "bet" || payment.status === "cancelled" || payment.status === "failed") {
+                        return { error: { code: "PLATFORM_ERROR", message: "Bet cannot be cancelled" } };
+                    }
+                    if (this.room && this.room.gameStarted) {
+                        return { error: { code: "PLATFORM_ERROR", message: "Bets cannot be cancelled after the game has started" } };
+                    }
+                    this._changeBalance(BigInt(this.balance.balance) + BigInt(payment.amount));
+                    if (this.room) {
+                        this.updateRoom({ bets: this.room.bets.filter(bet => bet.txHash !== payment.transactionHash) });
+                    }
+                    this._recordPayment("refund", BigInt(payment.amount), payment.roomDocId, "confirmed");
+                    return this.updatePayment(payment.paymentId, { status: "cancelled" });
+                },
+                PAYMENTS_GET_TRANSACTIONS_REQUEST: (payload) => {
+                    const all = [...this.payments.values()].reverse();
+                    const start = payload.cursor ? Number(payload.cursor) : 0;
+                    const end = start + (payload.limit || 20);
+                    return { transactions: all.slice(start, end), nextCursor: end < all.length ? String(end) : null };
+                },
+                ADD_USER_INPUT_REQUEST: () => ({ success: true }),
+                UTILS_GET_CAPABILITIES_REQUEST: () => ({ capabilities: this.capabilities }),
+                UTILS_GET_ENVIRONMENT_REQUEST: () => ({ ...this.environment }),
+                UTILS_REQUEST_FULLSCREEN_REQUEST: () => {
+                    const iframe = this.iframe;
+                    if (!iframe || typeof iframe.requestFullscreen !== "function") {
+                        return { fullscreen: false };
+                    }
+                    return iframe.requestFullscreen().then(() => ({ fullscreen: true }), () => ({ fullscreen: false }));
+                },
+                UTILS_SHARE_REQUEST: (payload) => {
+                    this.shares.push(payload);
+                    return { shared: true };
+                },
+                UTILS_SHOW_TOAST_REQUEST: (payload) => {
+                    this.toasts.push(payload);
+                    return {};
+                },
+                UTILS_OPEN_EXTERNAL_URL_REQUEST: (payload) => {
+                    window.open(payload.url, "_blank", "noopener,noreferrer");
+                    return { opened: true };
+                },
+                LIFECYCLE_LOADING_PROGRESS_REQUEST: (payload) => {
+                    this.loadingProgress = payload.progress;
+                    return {};
+                },
+                LIFECYCLE_GAME_READY_REQUEST: (payload) => {
+                    this.gameReadyAt = Date.now();
+                    return {};
+                },
+                STORAGE_GET_REQUEST: (payload) => {
+                    if (!this.user.isLoggedIn) {
+                        return { error: { code: "UNAUTHORIZED", message: "Not logged in." } };
+                    }
+                    const entry = this._storageEntries().get(payload.key);
+                    return { entry: entry ? { key: payload.key, ...entry } : null };
+                },
+                STORAGE_SET_REQUEST: (payload) => this._storageWrite(payload, entries => {
+                    const size = new TextEncoder().encode(JSON.stringify(payload.value)).length;
+                    if (size > this.storageLimits.maxValueBytes) {
+                        return { error: { code: "STORAGE_LIMIT_EXCEEDED", message: `Value of ${size} bytes exceeds the limit`, key: payload.key, limitType: "valueBytes", size, limit: this.storageLimits.maxValueBytes } };
+                    }
+                    const previous = entries.get(payload.key);
+                    const entry = { value: payload.value, version: previous ? previous.version + 1 : 1, updatedAt: Date.now() };
+                    entries.set(payload.key, entry);
+                    return { version: entry.version, updatedAt: entry.updatedAt };
+                }),
+                STORAGE_DELETE_REQUEST: (payload) => this._storageWrite(payload, entries => {
+                    entries.delete(payload.key);
+                    return { deleted: true };
+                }),
+                STORAGE_LIST_REQUEST: (payload) => {
+                    if (!this.user.isLoggedIn) {
+                        return { error: { code: "UNAUTHORIZED", message: "Not logged in." } };
+                    }
+                    const all = [...this._storageEntries().entries()]
+                        .filter(([key]) => !payload.prefix || key.startsWith(payload.prefix))
+                        .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+                        .map(([key, entry]) => ({ key, version: entry.version, updatedAt: entry.updatedAt }));
+                    const start = Number(payload.cursor) || 0;
+                    const end = start + (payload.limit || 50);
+                    return { entries: all.slice(start, end), nextCursor: end < all.length ? String(end) : null };
+                },
+                STATS_TRACK_EVENTS_REQUEST: () => ({ success: true }),
+                STATS_SUBMIT_SCORE_REQUEST: (payload) => {
+                    const entries = this.leaderboards.get(payload.leaderboardId) || [];
+                    const previous = entries.find(entry => entry.userId === this.user.userId);
+                    const isPersonalBest = !previous || payload.score > previous.score;
+                    if (isPersonalBest) {
+                        const entry = { userId: this.user.userId, displayName: this.user.name, score: payload.score, metadata: payload.metadata, submittedAt: new Date().toISOString() };
+                        this.leaderboards.set(payload.leaderboardId, [...entries.filter(e => e !== previous), entry]
+                            .sort((a, b) => b.score - a.score)
+                            .map((e, index) => ({ ...e, rank: index + 1 })));
+                    }
+                    const entry = this.leaderboards.get(payload.leaderboardId).find(e => e.userId === this.user.userId);
+                    return { leaderboardId: payload.leaderboardId, entry, isPersonalBest };
+                },
+                STATS_GET_LEADERBOARD_REQUEST: (payload) => {
+                    const entries = this.leaderboards.get(payload.leaderboardId) || [];
+                    const start = payload.cursor ? Number(payload.cursor) : 0;
+                    const end = start + (payload.limit || 10);
+                    return {
+                        entries: entries.slice(start, end),
+                        playerEntry: entries.find(entry => entry.userId === this.user.userId) || null,
+                        nextCursor: end < entries.length ? String(end) : null,
+                    };
+                },
+                STATS_GET_PLAYER_STATS_REQUEST: () => ({ userId: this.user.userId, gamesPlayed: 0, gamesWon: 0, bestScores: {} }),
+                MULTIPLAYER_CREATE_ROOM_REQUEST: (payload) => {
+                    this._enterRoom(`mock-room-${Date.now()}`, payload.options || {}, true);
+                    return { room: this._roomDetails(), reconnectToken: this.room.reconnectToken };
+                },
+                MULTIPLAYER_JOIN_ROOM_REQUEST: (payload) => {
+                    const listed = this.availableRooms.find(room => room.roomId === payload.roomId);
+                    if (listed && (listed.locked || (listed.maxClients !== null && listed.clients >= listed.maxClients))) {
+                        return { error: { code: "ROOM_FULL", message: "Room is full or locked" } };
+                    }
+                    this._enterRoom(payload.roomId, listed ? listed.metadata : (payload.options || {}), false);
+                    return { room: this._roomDetails(), reconnectToken: this.room.reconnectToken };
+                },
+                MULTIPLAYER_RECONNECT_ROOM_REQUEST: (payload) => {
+                    if (!this.room || payload.reconnectToken !== this.room.reconnectToken) {
+                        return { error: { code: "ROOM_NOT_FOUND", message: "No room to reconnect to" } };
+                    }
+                    this._later(0, () => this.room && this.updateRoom({}));
+                    return { room: this._roomDetails() };
+                },
+                MULTIPLAYER_LEAVE_ROOM_REQUEST: () => {
+                    this.room = null;
+                    return {};
+                },
+                MULTIPLAYER_SEND_ROOM_MESSAGE_REQUEST: (payload) => {
+                    this.roomMessageListeners.forEach(cb => cb(payload.messageType, payload.messageData, payload));
+                    if (payload.kind === "response" && this.pendingRoomRequests.has(payload.correlationId)) {
+                        this.pendingRoomRequests.get(payload.correlationId)({ messageData: payload.messageData, error: payload.error });
+                        this.pendingRoomRequests.delete(payload.correlationId);
+                    }
+                    else if (payload.kind === "request" && this.roomRequestHandlers.has(payload.messageType)) {
+                        this._answerRoomRequest(payload);
+                    }
+                    const recipients = this.room ? Math.max(this.room.players.length - 1, 0) : 0;
+                    return { delivered: true, recipients };
+                },
+                MULTIPLAYER_GET_ROOM_STATE_REQUEST: () => {
+                    if (!this.room) {
+                        return { error: { code: "ROOM_NOT_FOUND", message: "Not in a room" } };
+                    }
+                    return { state: this._roomUpdatePayload() };
+                },
+                MULTIPLAYER_GET_AVAILABLE_ROOMS_REQUEST: (payload) => ({
+                    rooms: this.availableRooms.filter(room => !payload.roomType || room.name === payload.roomType),
+                }),
+                // Rooms from setAvailableRooms() that fit are matched right away; otherwise the ticket stays queued
+                // until matchPlayer() or rejectMatch() is called, or the game's timeout passes.
+                MULTIPLAYER_FIND_MATCH_REQUEST: (payload) => {
+                    this.matchmakingTicket = payload;
+                    const fitting = this.availableRooms.find(room => room.name === payload.roomType &&
+                        !room.locked &&
+                        (room.maxClients === null || room.clients < room.maxClients) &&
+                        (payload.betAmount === undefined || String(room.metadata.betAmount) === String(payload.betAmount)) &&
+                        (payload.maxPlayers === undefined || room.metadata.maxPlayers === payload.maxPlayers));
+                    if (fitting) {
+                        this._later(this._nextLatency(), () => this.matchmakingTicket === payload && this.matchPlayer(fitting.roomId));
+                    }
+                    return { ticketId: payload.ticketId, status: "queued", position: 1 };
+                },
+                MULTIPLAYER_CANCEL_MATCHMAKING_REQUEST: (payload) => {
+                    // cancelled: false tells the game the ticket was matched and the status event is on its way.
+                    if (payload.ticketId === this.matchedTicketId) {
+                        return { cancelled: false };
+                    }
+                    if (this.matchmakingTicket && this.matchmakingTicket.ticketId === payload.ticketId) {
+                        this.matchmakingTicket = null;
+                    }
+                    return { cancelled: true };
+                },
+                MULTIPLAYER_SUBMIT_RESULT_REQUEST: (payload) => {
+                    if (!this.room || payload.roomId !== this.room.roomId) {
+                        return { error: { code: "ROOM_NOT_FOUND", message: "Not in that room" } };
+                    }
+                    if (this.room.hostUserId !== this.user.userId) {
+                        return { error: { code: "UNAUTHORIZED", message: "Only the host can submit the result" } };
+                    }
+                    const existing = this.settlements.get(this.room.roomId);
+                    if (existing && existing.result) {
+                        if (existing.result.resultId !== payload.resultId) {
+                            return { error: { code: "PLATFORM_ERROR", message: "A result was already submitted for this room" } };
+                        }
+                        return { resultId: payload.resultId, status: existing.settlement.status, disputeWindowEndsAt: existing.settlement.disputeWindowEndsAt };
+                    }
+                    const result = { resultId: payload.resultId, rankings: payload.rankings, scores: payload.scores || {}, proof: payload.proof, submittedBy: this.user.userId, submittedAt: new Date().toISOString() };
+                    const disputeWindowEndsAt = new Date(Date.now() + this.disputeWindowMs).toISOString();
+                    const record = { result, settlement: { roomId: this.room.roomId, resultId: result.resultId, status: "pending", reason: null, disputeWindowEndsAt, payouts: [], settledAt: null } };
+                    this.settlements.set(this.room.roomId, record);
+                    record.cancelTimer = this._later(this.disputeWindowMs, () => record.settlement.status === "pending" && this.settle(record.settlement.roomId));
+                    this._later(0, () => this.room && this.finishGame(result));
+                    return { resultId: result.resultId, status: "pending", disputeWindowEndsAt };
+                },
+                MULTIPLAYER_DISPUTE_RESULT_REQUEST: (payload) => {
+                    const record = this.settlements.get(payload.roomId);
+                    if (!record || !record.result || record.settlement.status !== "pending") {
+                        return { error: { code: "PLATFORM_ERROR", message: "No result to dispute" } };
+                    }
+                    record.cancelTimer();
+                    return { settlement: this._updateSettlement(record, { status: "disputed", reason: "disputed" }) };
+                },
+                MULTIPLAYER_GET_SETTLEMENT_REQUEST: (payload) => {
+                    const record = this.settlements.get(payload.roomId);
+                    return { settlement: record ? { ...record.settlement } : null };
+                },
+                MULTIPLAYER_SUBMIT_INPUT_REQUEST: (payload) => {
+                    if (!this.room || payload.roomId !== this.room.roomId) {
+                        return { error: { code: "ROOM_NOT_FOUND", message: "Not in that room" } };
+                    }
+                    let accepted;
+                    try {
+                        accepted = !this.inputValidator || this.inputValidator(payload.input) !== false;
+                    }
+                    catch (error) {
+                        return { error: { code: "INVALID_ARGUMENT", message: error.message || String(error) } };
+                    }
+                    if (!accepted) {
+                        return { error: { code: "INVALID_ARGUMENT", message: "Input rejected" } };
+                    }
+                    const commit = this._commitInput({ input: payload.input, playerId: this.user.userId, clientSeq: payload.clientSeq });
+                    return { sequence: commit.sequence, tick: commit.tick };
+                },
+                MULTIPLAYER_GET_INPUTS_REQUEST: (payload) => {
+                    if (!this.room || payload.roomId !== this.room.roomId) {
+                        return { error: { code: "ROOM_NOT_FOUND", message: "Not in that room" } };
+                    }
+                    return { inputs: this.room.inputs.filter(commit => commit.sequence >= (payload.fromSequence || 0)) };
+                },
+                MULTIPLAYER_START_GAME_REQUEST: () => {
+                    this._later(0, () => this.room && this.startGame());
+                    return {};
+                },
+            };
+        }
+        async _answerRoomRequest(payload) {
+            const reply = {
+                messageType: payload.messageType,
+                kind: "response",
+                correlationId: payload.correlationId,
+                senderId: payload.targetUserId || "mock-host",
+            };
+            try {
+                reply.messageData = await this.roomRequestHandlers.get(payload.messageType)(payload.messageData);
+            }
+            catch (error) {
+                reply.error = { code: error.code || "PLATFORM_ERROR", message: error.message || String(error) };
+            }
+            this._later(this._nextLatency(), () => this.emit("MULTIPLAYER_ROOM_MESSAGE_EVENT", reply));
+        }
+        // Every balance change is pushed to the game, like the platform does after bets, refunds and payouts.
+        _changeBalance(balance) {
+            const previousBalance = this.balance.balance;
+            this.balance.balance = String(balance);
+            this.emit("WALLET_BALANCE_CHANGED_EVENT", { ...this.balance, previousBalance });
+        }
+        _recordPayment(type, amount, roomDocId, status) {
+            const now = new Date().toISOString();
+            const payment = {
+                paymentId: `mock-payment-${Date.now()}-${this.payments.size}`,
+                type,
+                status: status || "pending",
+                amount: amount.toString(),
+                ticker: this.balance.ticker,
+                roomDocId,
+                transactionHash: `0xmock${Date.now().toString(16)}${this.payments.size}`,
+                createdAt: now,
+                updatedAt: now,
+            };
+            this.payments.set(payment.paymentId, payment);
+            return payment;
+        }
+        _commitInput({ input, playerId, clientSeq, tick }) {
+            const sequence = this.room.inputs.length + 1;
+            const commit = { roomId: this.room.roomId, sequence, tick: tick !== undefined ? tick : sequence, playerId, clientSeq, input };
+            this.room.inputs.push(commit);
+            // Commits go out after the submitting request was answered, like on the platform.
+            this._later(this._nextLatency(), () => this.emit("MULTIPLAYER_INPUT_COMMITTED_EVENT", commit));
+            return commit;
+        }
+        _enterRoom(roomId, metadata, isHost) {
+            const self = { sessionId: `mock-session-${this.user.userId}`, userId: this.user.userId, name: this.user.name, isHost };
+            this.room = {
+                roomId,
+                roomDocId: `mock-doc-${roomId}`,
+                reconnectToken: `mock-reconnect-${roomId}`,
+                roomName: metadata.roomName || roomId,
+                players: isHost ? [self] : [{ sessionId: "mock-session-host", userId: "mock-host", name: "Mock Host", isHost: true }, self],
+                hostUserId: isHost ? this.user.userId : "mock-host",
+                timeLeft: metadata.duration || 60,
+                gameStarted: false,
+                gameFinished: false,
+                maxPlayers: metadata.maxPlayers || 4,
+                betAmount: metadata.betAmount || 0,
+                bets: [],
+                inputs: [],
+            };
+            this._later(0, () => this.room && this.updateRoom({}));
+        }
+        _roomDetails() {
+            return {
+                roomId: this.room.roomId,
+                name: this.room.roomName,
+                metadata: { roomDocId: this.room.roomDocId, maxPlayers: this.room.maxPlayers, betAmount: this.room.betAmount },
+                sessionId: `mock-session-${this.user.userId}`,
+                inputSequence: this.room.inputs.length,
+            };
+        }
+        _settlementRecord(roomId, create) {
+            const targetRoomId = roomId || (this.room && this.room.roomId);
+            let record = this.settlements.get(targetRoomId);
+            if (!record && create && targetRoomId) {
+                record = { result: null, settlement: { roomId: targetRoomId, resultId: null, status: "pending", reason: null, disputeWindowEndsAt: null, payouts: [], settledAt: null } };
+                this.settlements.set(targetRoomId, record);
+            }
+            if (!record) {
+                throw new Error(`ArcaidMockPlatform: No settlement for room ${targetRoomId}.`);
+            }
+            if (record.cancelTimer) {
+                record.cancelTimer();
+            }
+            return record;
+        }
+        _updateSettlement(record, changes) {
+            Object.assign(record.settlement, changes);
+            this.emit("MULTIPLAYER_SETTLEMENT_EVENT", { ...record.settlement });
+            return { ...record.settlement };
+        }
+        _roomUpdatePayload() {
+            const { reconnectToken, inputs, ...room } = this.room; // The token is private to the player; inputs have their own events
+            return { ...room, gameId: this.options.gameId || "mock-game" };
+        }
+        _userSession() {
+            return {
+                isLoggedIn: this.user.isLoggedIn,
+                userId: this.user.isLoggedIn ? this.user.userId : null,
+                displayName: this.user.isLoggedIn ? this.user.name : null,
+                avatarUrl: this.user.isLoggedIn ? this.user.avatarUrl : null,
+                userWalletAddress: this.user.isLoggedIn ? this.user.walletAddress : null,
+                sessionToken: this.user.isLoggedIn ? this.user.sessionToken : null,
+                expiresAt: this.user.isLoggedIn && this.user.expiresAt ? this.user.expiresAt : undefined,
+            };
+        }
+        _issueSession() {
+            this.sessionCount += 1;
+            return {
+                sessionToken: `${DEFAULT_USER.sessionToken}-${this.sessionCount}`,
+                expiresAt: this.options.sessionTtlMs ? Date.now() + this.options.sessionTtlMs : undefined,
+            };
+        }
+        _nextLatency() {
+            if (typeof this.latency === "number") {
+                return this.latency;
+            }
+            const { min = 0, max = min } = this.latency;
+            return min + Math.random() * (max - min);
+        }
+        _later(delayMs, fn) {
+            const timer = setTimeout(() => {
+                this.timers.delete(timer);
+                fn();
+            }, delayMs);
+            this.timers.add(timer);
+            return () => {
+                clearTimeout(timer);
+                this.timers.delete(timer);
+            };
+        }
+        _post(message) {
+            if (this.iframe && this.iframe.contentWindow) {
+                this.iframe.contentWindow.postMessage(message, this.gameOrigin);
+            }
+        }
+    }
+    window.ArcaidMockPlatform = ArcaidMockPlatform;
+})();
@@ -3,38 +3,462 @@
  * needs to pass any (e.g., overriding coreSdkUrl for local dev).
  */
 export interface ArcaidClientInitConfig {
+  /** Load the core SDK from this URL instead of the CDN, e.g. a local build. */
   coreSdkUrl?: string;
+  /** Fallback URLs tried in order when the primary URL fails. `{version}` is replaced with the SDK version. */
+  coreSdkMirrors?: string[];
+  /** Subresource Integrity hash (e.g. "sha384-...") the loaded core SDK must match. */
+  coreSdkIntegrity?: string;
+  /** URL of a JSON manifest `{ urls?: string[], integrity?: string }` describing the core SDK to load. */
+  coreSdkManifestUrl?: string;
+  /**
+   * Platform origins allowed to frame the game and provide its config.
+   * Defaults to the ARCAID platform origins.
+   */
+  trustedOrigins?: Array<string | RegExp>;
+  /**
+   * How the SDK talks to the platform. Defaults to 'auto': the parent frame when embedded,
+   * a trusted opener when running in a popup, and none on a standalone page.
+   */
+  transport?: ArcaidTransportOption;
+  /** Options for event batching in the Stats module. */
+  stats?: ArcaidStatsConfig;
+  /** Options for the Multiplayer module. */
+  multiplayer?: ArcaidMultiplayerConfig;
+  /** Options for the Auth module. */
+  auth?: ArcaidAuthConfig;
+  /**
+   * Debug mode. `true` logs everything, including every request and response; an object picks the log level
+   * and can turn on the in-page message inspector. Without it only warnings and errors are logged.
+   */
+  debug?: boolean | ArcaidDebugOptions;
   // Add any other client-side configurable options here in the future
 }
 
+/** Log levels, from quietest to most verbose. */
+export type ArcaidLogLevel = 'silent' | 'error' | 'warn' | 'info' | 'debug';
+
+export interface ArcaidDebugOptions {
+  /** Defaults to 'debug'. */
+  level?: ArcaidLogLevel;
+  /**
+   * Shows an overlay listing every request with its latency and outcome, every platform message,
+   * pending requests and the current room state. Defaults to false.
+   */
+  overlay?: boolean;
+}
+
+/**
+ * Carries the SDK's message envelope between the game and the platform.
+ * Implement this to plug in a custom channel.
+ */
+export interface ArcaidTransport {
+  /** Used in logs and error messages. */
+  readonly name?: string;
+  /** The verified platform origin for window transports; null for channels without one. */
+  readonly origin: string | null;
+  /** Called before the config handshake, for transports that must be established first. */
+  connect?: () => Promise<void>;
+  send: (message: ArcaidTransportMessage) => void;
+  /** @returns A function to unsubscribe. */
+  onMessage: (callback: (message: ArcaidTransportMessage) => void) => () => void;
+  close: () => void;
+}
+
+/**
+ * The envelope of every message between the SDK and the platform, identical for all transports.
+ */
+export interface ArcaidTransportMessage {
+  source: 'ARCAID_SDK' | 'ARCAID_SDK_LOADER' | 'ARCAID_PLATFORM';
+  type: string;
+  messageId?: string;
+  gameId?: string;
+  payload?: any;
+  [key: string]: any;
+}
+
+export type ArcaidTransportOption =
+  | 'auto'
+  | 'iframe'
+  | 'opener'
+  | 'messageChannel'
+  | { type: 'messageChannel'; port?: MessagePort }
+  | { type: 'websocket'; url: string; protocols?: string | string[] }
+  | ArcaidTransport;
+
+/**
+ * Per-call options accepted by the module methods that talk to the platform.
+ */
+export interface ArcaidRequestOptions {
+  /** How long to wait for the platform's response, in milliseconds. Defaults to 30000. */
+  timeout?: number;
+  /** Cancels the request; it then rejects with a CANCELLED error. */
+  signal?: AbortSignal;
+}
+
+/**
+ * Request options for idempotent requests (reads), which may also be retried.
+ */
+export interface ArcaidRetryableRequestOptions extends ArcaidRequestOptions {
+  /** How often to resend the request after a retryable error such as a timeout. Defaults to 0. */
+  retries?: number;
+}
+
+/**
+ * An outgoing request as seen by middleware.
+ */
+export interface ArcaidOutgoingRequest {
+  type: string;
+  payload: any;
+  options: ArcaidRetryableRequestOptions;
+}
+
+/**
+ * Hooks around the traffic with the platform, added with sdk.use().
+ */
+export interface ArcaidMiddleware {
+  /**
+   * Wraps every outgoing request and returns its response payload. Call `next` to send the request on,
+   * optionally with a modified request, or return a value without calling it to stub the response.
+   */
+  request?: (request: ArcaidOutgoingRequest, next: (request?: ArcaidOutgoingRequest) => Promise<any>) => Promise<any> | any;
+  /**
+   * Sees every message from the platform before the SDK handles it. Call `next` to pass it on,
+   * optionally modified, or don't call it to drop the message.
+   */
+  message?: (message: ArcaidTransportMessage, next: (message?: ArcaidTransportMessage) => void) => void;
+}
+
+export interface ArcaidRecordingOptions {
+  /** Replace session tokens and other credentials in the trace with "[redacted]". Defaults to true. */
+  redact?: boolean;
+  /** Stop recording after this many messages; the trace is then marked `truncated`. Defaults to 10000. */
+  maxMessages?: number;
+}
+
+/**
+ * One message in a recorded trace.
+ */
+export interface ArcaidTraceEntry {
+  /** Milliseconds since the recording started. */
+  at: number;
+  /** 'sent' for requests to the platform, 'received' for responses and events from it. */
+  direction: 'sent' | 'received';
+  message: ArcaidTransportMessage;
+}
+
+/**
+ * A recording of the traffic with the platform, returned by sdk.stopRecording(). Plain JSON.
+ */
+export interface ArcaidTrace {
+  format: 'arcaid-trace';
+  version: 1;
+  /** ISO 8601 timestamp of the start of the recording. */
+  recordedAt: string;
+  /** The platform config at the start of the recording (gameId, userSession, ...), used to answer the config handshake on replay. */
+  config: Record<string, any>;
+  /** True if the recording stopped early because it reached maxMessages. */
+  truncated: boolean;
+  messages: ArcaidTraceEntry[];
+}
+
+export interface ArcaidReplayOptions {
+  /** Playback speed: 1 keeps the recorded timing, 10 plays ten times as fast, Infinity as fast as possible. Defaults to 1. */
+  speed?: number;
+}
+
+/**
+ * Plays a recorded trace back to the game in place of the platform.
+ */
+export interface ArcaidReplayTransport extends ArcaidTransport {
+  /**
+   * Starts delivering the recorded platform events. Register the game's listeners first.
+   * Requests are answered from the trace whether or not the replay has started.
+   * @returns A promise that resolves once the last event has been delivered.
+   */
+  start(): Promise<void>;
+  /** Requests the game sent that the trace has no recorded answer for. */
+  readonly unmatched: ArcaidTransportMessage[];
+}
+
+/**
+ * Options controlling session refresh in the Auth module.
+ */
+export interface ArcaidAuthConfig {
+  /** How long before the session expires a refreshed token is requested, in milliseconds. Defaults to 60000. */
+  refreshLeadMs?: number;
+}
+
+/**
+ * Options controlling automatic reconnection in the Multiplayer module.
+ */
+export interface ArcaidMultiplayerConfig {
+  /** Rejoin the last room after an iframe reload or a dropped connection. Defaults to true. */
+  autoReconnect?: boolean;
+  /** Number of reconnect attempts before giving up. Defaults to 5. */
+  maxReconnectAttempts?: number;
+  /** Delay before the second attempt; doubles with each further attempt. Defaults to 500. */
+  reconnectBaseDelayMs?: number;
+  /** Upper bound for the delay between attempts. Defaults to 10000. */
+  reconnectMaxDelayMs?: number;
+}
+
+/**
+ * Options controlling how the Stats module batches and queues events.
+ */
+export interface ArcaidStatsConfig {
+  /** Maximum number of events sent to the platform in one request. Defaults to 20. */
+  batchSize?: number;
+  /** Delay before a partial batch is flushed, in milliseconds. Defaults to 5000. */
+  flushIntervalMs?: number;
+  /** Maximum number of events kept while the platform is unreachable; oldest are dropped first. Defaults to 500. */
+  maxQueueSize?: number;
+}
+
+/**
+ * Stable error codes carried by every ArcaidError.
+ */
+export type ArcaidErrorCode =
+  | 'TIMEOUT'            // The platform did not answer in time
+  | 'NO_PARENT'          // The game is not running inside the platform
+  | 'NOT_READY'          // The SDK is missing config needed for the call (e.g. gameId)
+  | 'INVALID_ARGUMENT'   // The call was made with invalid parameters
+  | 'INVALID_RESPONSE'   // The platform answered with an unexpected payload
+  | 'UNAUTHORIZED'       // The player must log in first
+  | 'SESSION_EXPIRED'    // The player's session is no longer valid
+  | 'INSUFFICIENT_FUNDS' // The player's balance is too low
+  | 'ROOM_FULL'          // The room is full or locked
+  | 'ROOM_NOT_FOUND'     // The room does not exist
+  | 'SECURITY_ERROR'     // Origin or handshake verification failed
+  | 'SDK_LOAD_FAILED'    // The loader could not load the core SDK from any URL
+  | 'INCOMPATIBLE_SDK_VERSION' // The loaded core SDK's API version is not supported by the loader
+  | 'CANCELLED'          // The SDK instance was disposed before the call completed
+  | 'UNSUPPORTED'        // The host doesn't support the requested feature (see utils.getCapabilities)
+  | 'CONFLICT'           // A storage write's expectedVersion didn't match; details hold currentVersion and currentValue
+  | 'STORAGE_LIMIT_EXCEEDED' // A storage key or value is too large; details hold key, limitType, size and limit
+  | 'PLATFORM_ERROR'     // Any other error reported by the platform
+  | 'UNKNOWN';
+
+/**
+ * Base class of every error the SDK rejects with.
+ */
+export declare class ArcaidError extends Error {
+  readonly code: ArcaidErrorCode;
+  /** Whether retrying the same call may succeed. */
+  readonly retryable: boolean;
+  /** The platform's original error payload, if the error came from the platform. */
+  readonly details: any;
+  readonly cause?: unknown;
+}
+
+/** A request to the platform timed out. Always retryable. */
+export declare class ArcaidTimeoutError extends ArcaidError {
+  readonly code: 'TIMEOUT';
+}
+
+/** An SDK method was called with invalid parameters. */
+export declare class ArcaidValidationError extends ArcaidError {
+  readonly code: 'INVALID_ARGUMENT';
+}
+
+/** The platform rejected a request. `details` holds its error payload. */
+export declare class ArcaidPlatformError extends ArcaidError {}
+
+/**
+ * Thrown by Arcaid.init() when the core SDK could not be loaded from any URL,
+ * or when the loaded core SDK reports an API version the loader doesn't support.
+ */
+export declare class ArcaidLoadError extends ArcaidError {
+  readonly code: 'SDK_LOAD_FAILED' | 'INCOMPATIBLE_SDK_VERSION';
+  /** The URLs that were tried. */
+  readonly urls: string[];
+  /** The API version the loaded core SDK reported, for INCOMPATIBLE_SDK_VERSION. */
+  readonly apiVersion?: string;
+}
+
+/**
+ * Thrown when the parent page fails origin or handshake verification,
+ * or when the SDK is asked to talk to a platform whose origin was never verified.
+ */
+export declare class ArcaidSecurityError extends ArcaidError {
+  readonly code: 'SECURITY_ERROR';
+  /** The origin that failed verification, if known. */
+  readonly origin: string | null;
+}
+
 /**
  * Represents the user's authentication state and basic info.
  * This aligns with what sdk.auth.getUserState() returns.
  */
 export interface ArcaidUserState {
   isLoggedIn: boolean;
+  /** True while the player plays without an account. Always the inverse of isLoggedIn. */
+  isGuest: boolean;
+  /** Stable user ID; the wallet address on platforms that don't send one. */
   userId: string | null;
+  /** Display name from the session, if the platform sends one. See auth.getProfile() for the full profile. */
   username: string | null;
+  /** When the current session expires, in epoch milliseconds; null for guests or if unknown. */
+  expiresAt: number | null;
 }
 
+/**
+ * Why the auth state changed. 'initial' is delivered once to each new subscriber.
+ */
+export type ArcaidAuthStateChangeReason = 'initial' | 'login' | 'logout' | 'session_updated' | 'expired';
+
 /**
  * Defines the structure of the Arcaid Authentication module.
  */
 export interface ArcaidAuthModule {
   getUserState: () => Promise<ArcaidUserState>;
-  getPlayer: () => Promise<ArcaidPlayerResponse>;
-  login?: () => Promise<any>; // Optionally update if you have login() response example
+  getPlayer: (options?: ArcaidRetryableRequestOptions) => Promise<ArcaidPlayerResponse>;
+  /** Opens the platform's login dialog. Waits up to five minutes by default. */
+  login?: (options?: ArcaidRequestOptions) => Promise<any>; // Optionally update if you have login() response example
+  /**
+   * Subscribes to login, logout, session updates and expiry.
+   * Also called once with the current state when the SDK is ready.
+   * @returns A function to unsubscribe.
+   */
+  onAuthStateChanged: (callback: (state: ArcaidUserState, reason: ArcaidAuthStateChangeReason) => void) => () => void;
+  /** Asks the platform for a refreshed session token. Done automatically before the session expires. */
+  refreshSession: () => Promise<ArcaidUserState>;
+  /**
+   * Gets the logged-in player's profile, merged from the session and GET_PLAYER_REQUEST.
+   * Cached until the session changes. Resolves to null for guests.
+   */
+  getProfile: (options?: { refresh?: boolean } & ArcaidRetryableRequestOptions) => Promise<ArcaidUserProfile | null>;
+  /** Logs the player out of the platform. */
+  logout: (options?: ArcaidRequestOptions) => Promise<{ success: boolean }>;
+  /**
+   * Asks the platform to link another account to the player. The platform shows its own dialog.
+   * @returns The updated profile.
+   */
+  linkAccount: (type: ArcaidLinkAccountType, options?: ArcaidRequestOptions) => Promise<ArcaidUserProfile | null>;
   // connectWallet: () => Promise<void>; // Example for future
-  // logout: () => Promise<void>; // Example for future
+}
+
+/**
+ * Kinds of accounts that can be linked via auth.linkAccount(). Platforms may support more.
+ */
+export type ArcaidLinkAccountType = 'wallet' | 'email' | 'google' | 'discord' | 'twitter' | (string & {});
+
+/**
+ * The player's profile as returned by auth.getProfile().
+ */
+export interface ArcaidUserProfile {
+  userId: string;
+  displayName: string | null;
+  avatarUrl: string | null;
+  walletAddress: string | null;
+  linkedAccounts: ArcaidPlayerLinkedAccount[];
+  /** ISO date of the player's last login, if known. */
+  lastLogin: string | null;
 }
 
 /**
  * Defines the structure of the Arcaid Stats module.
- * (Current core implementation is a placeholder)
  */
 export interface ArcaidStatsModule {
+  /**
+   * Queues a game event for delivery to the platform.
+   * Events are batched and persisted locally until the platform acknowledges them.
+   * @param eventName The name of the event (e.g. "game_start").
+   * @param eventData Optional data associated with the event.
+   * @returns A promise that resolves once the event is queued.
+   */
   trackEvent: (eventName: string, eventData?: Record<string, any>) => Promise<void>;
-  // Define other stats methods
+
+  /**
+   * Sends all queued events to the platform immediately.
+   * @returns A promise that resolves when the queue is empty, or rejects if delivery failed.
+   */
+  flush: () => Promise<void>;
+
+  /**
+   * Submits a score to a leaderboard for the current player.
+   * @param leaderboardId The ID of the leaderboard.
+   * @param score The score to submit.
+   * @param metadata Optional data stored alongside the score.
+   * @returns A promise that resolves with the player's resulting leaderboard entry.
+   */
+  submitScore: (leaderboardId: string, score: number, metadata?: Record<string, any>, options?: ArcaidRequestOptions) => Promise<ArcaidSubmitScoreResponsePayload>;
+
+  /**
+   * Retrieves a page of leaderboard entries.
+   * @param leaderboardId The ID of the leaderboard.
+   * @param options Optional scope, period, page size and pagination cursor.
+   * @returns A promise that resolves with the leaderboard page.
+   */
+  getLeaderboard: (leaderboardId: string, options?: ArcaidLeaderboardQueryOptions) => Promise<ArcaidLeaderboardResponsePayload>;
+
+  /**
+   * Retrieves aggregated stats for the current player in this game.
+   * @returns A promise that resolves with the player's stats.
+   */
+  getPlayerStats: (options?: ArcaidRetryableRequestOptions) => Promise<ArcaidPlayerStatsResponsePayload>;
+}
+
+export type ArcaidLeaderboardScope = 'global' | 'friends' | 'room';
+
+export type ArcaidLeaderboardPeriod = 'daily' | 'weekly' | 'monthly' | 'all_time';
+
+/**
+ * Options for stats.getLeaderboard().
+ */
+export interface ArcaidLeaderboardQueryOptions extends ArcaidRetryableRequestOptions {
+  /** Which players to rank against. Defaults to 'global'. */
+  scope?: ArcaidLeaderboardScope;
+  /** Time window of the leaderboard. Defaults to 'all_time'. */
+  period?: ArcaidLeaderboardPeriod;
+  /** Maximum number of entries to return. */
+  limit?: number;
+  /** Cursor returned as nextCursor by a previous call, to fetch the next page. */
+  cursor?: string;
+}
+
+/**
+ * A single ranked entry on a leaderboard.
+ */
+export interface ArcaidLeaderboardEntry {
+  rank: number;
+  userId: string;
+  displayName: string | null;
+  score: number;
+  metadata?: Record<string, any>;
+  submittedAt: string;
+}
+
+/**
+ * Payload for the stats.submitScore() response.
+ */
+export interface ArcaidSubmitScoreResponsePayload {
+  leaderboardId: string;
+  entry: ArcaidLeaderboardEntry;
+  isPersonalBest: boolean;
+}
+
+/**
+ * Payload for the stats.getLeaderboard() response.
+ */
+export interface ArcaidLeaderboardResponsePayload {
+  leaderboardId: string;
+  entries: ArcaidLeaderboardEntry[];
+  /** The current player's entry, even if it falls outside the returned page. */
+  playerEntry: ArcaidLeaderboardEntry | null;
+  /** Cursor for the next page, or null if there are no more entries. */
+  nextCursor: string | null;
+}
+
+/**
+ * Payload for the stats.getPlayerStats() response.
+ */
+export interface ArcaidPlayerStatsResponsePayload {
+  userId: string;
+  gamesPlayed: number;
+  gamesWon: number;
+  bestScores: Record<string, number>; // leaderboardId -> best score
+  [key: string]: any;
 }
 
 /**
@@ -43,11 +467,58 @@ export interface ArcaidStatsModule {
 export interface ArcaidBetResponsePayload {
   success: boolean;
   paymentId?: string;
+  status?: ArcaidPaymentStatus;
   transactionHash?: string;
   message?: string;
   error?: string; // Error message if success is false
 }
 
+/**
+ * An amount in the smallest unit of a token (wei): a bigint, a decimal integer string,
+ * or a number as long as it is a safe integer.
+ */
+export type ArcaidWeiAmount = bigint | string | number;
+
+export type ArcaidPaymentStatus = 'pending' | 'confirmed' | 'failed' | 'cancelled' | 'refunded';
+
+export type ArcaidPaymentType = 'bet' | 'refund' | 'payout';
+
+/**
+ * A payment as reported by the platform. Amounts are decimal strings in wei.
+ */
+export interface ArcaidPayment {
+  paymentId: string;
+  type: ArcaidPaymentType;
+  status: ArcaidPaymentStatus;
+  amount: string;
+  ticker?: string;
+  roomDocId?: string;
+  transactionHash?: string;
+  /** For failed payments, why they failed. */
+  error?: string;
+  createdAt: string;
+  updatedAt: string;
+}
+
+/**
+ * Options for payments.getTransactions().
+ */
+export interface ArcaidTransactionsQueryOptions extends ArcaidRetryableRequestOptions {
+  /** Maximum number of transactions to return. */
+  limit?: number;
+  /** Cursor returned as nextCursor by a previous call, to fetch the next page. */
+  cursor?: string;
+}
+
+/**
+ * Payload for the payments.getTransactions() response.
+ */
+export interface ArcaidTransactionsResponsePayload {
+  transactions: ArcaidPayment[];
+  /** Cursor for the next page, or null if there are no more transactions. */
+  nextCursor: string | null;
+}
+
 /**
  * Defines the structure of the Arcaid Payments module.
  */
@@ -55,11 +526,40 @@ export interface ArcaidPaymentsModule {
   /**
    * Initiates a bet in a game room via the platform.
    * @param roomId The ID of the room where the bet is being placed.
-   * @param amount The amount of the bet.
+   * @param amount The amount of the bet in wei. Prefer bigint or a decimal string for large stakes.
    * @param reason An optional reason or description for the bet.
-   * @returns A promise that resolves with the bet response from the platform.
+   * @returns A promise that resolves with the bet response from the platform,
+   *   or rejects with an ArcaidError (e.g. code 'INSUFFICIENT_FUNDS').
+   */
+  makeBet: (roomId: string, amount: ArcaidWeiAmount, reason?: string, options?: ArcaidRequestOptions) => Promise<ArcaidBetResponsePayload>;
+
+  /**
+   * Retrieves the current status of a bet.
+   * @param paymentId The paymentId returned by makeBet.
+   * @returns A promise that resolves with the payment.
    */
-  makeBet: (roomId: string, amount: number, reason?: string) => Promise<ArcaidBetResponsePayload>;
+  getBetStatus: (paymentId: string, options?: ArcaidRetryableRequestOptions) => Promise<ArcaidPayment>;
+
+  /**
+   * Cancels a bet and refunds the stake. Only possible before the game has started.
+   * @param paymentId The paymentId returned by makeBet.
+   * @returns A promise that resolves with the refunded payment.
+   */
+  cancelBet: (paymentId: string, options?: ArcaidRequestOptions) => Promise<ArcaidPayment>;
+
+  /**
+   * Retrieves the player's transaction history for this game (bets, refunds and payouts), newest first.
+   * @param options Optional page size and pagination cursor.
+   * @returns A promise that resolves with a page of transactions.
+   */
+  getTransactions: (options?: ArcaidTransactionsQueryOptions) => Promise<ArcaidTransactionsResponsePayload>;
+
+  /**
+   * Registers a callback for payment status changes (pending → confirmed / failed, refunds, payouts).
+   * @param callback Function to call with the updated payment.
+   * @returns A function to unsubscribe the listener.
+   */
+  onPaymentUpdate: (callback: (payment: ArcaidPayment) => void) => () => void;
 }
 
 /**
@@ -72,6 +572,37 @@ export interface ArcaidUserBalanceResponsePayload {
   error?: string; // Optional error field
 }
 
+/**
+ * The player's balance of one token. `balance` is a decimal string in wei.
+ */
+export interface ArcaidTokenBalance {
+  balance: string;
+  ticker: string;
+  tokenAddress: string;
+  /** Token decimals, for formatAmount/parseAmount. */
+  decimals?: number;
+}
+
+/**
+ * Payload for the onBalanceChanged event.
+ */
+export interface ArcaidBalanceChangedPayload extends ArcaidTokenBalance {
+  /** The balance before the change, if known. */
+  previousBalance: string | null;
+}
+
+/**
+ * Options for wallet.formatAmount().
+ */
+export interface ArcaidFormatAmountOptions {
+  /** Token decimals. Defaults to 18. */
+  decimals?: number;
+  /** Appended after the amount, e.g. "ARC". */
+  ticker?: string;
+  /** Digits kept after the decimal point; extra digits are truncated. Defaults to 4. */
+  maxFractionDigits?: number;
+}
+
 /**
  * Defines the structure of the Arcaid Wallet module.
  */
@@ -80,16 +611,254 @@ export interface ArcaidWalletModule {
    * Retrieves the user's game token balance.
    * @returns A promise that resolves with the user's balance information.
    */
-  getUserBalance: () => Promise<ArcaidUserBalanceResponsePayload>;
+  getUserBalance: (options?: ArcaidRetryableRequestOptions) => Promise<ArcaidUserBalanceResponsePayload>;
+
+  /**
+   * Retrieves the player's balance of every token they hold.
+   * @returns A promise that resolves with one entry per token.
+   */
+  getBalances: (options?: ArcaidRetryableRequestOptions) => Promise<ArcaidTokenBalance[]>;
+
+  /**
+   * Registers a callback for balance changes pushed by the platform (bets, refunds, payouts, deposits).
+   * @param callback Function to call with the new balance.
+   * @returns A function to unsubscribe the listener.
+   */
+  onBalanceChanged: (callback: (payload: ArcaidBalanceChangedPayload) => void) => () => void;
+
+  /**
+   * Checks whether the player's balance covers an amount, e.g. before calling payments.makeBet.
+   * @param amount The amount in wei.
+   * @param tokenAddress The token to check. Defaults to the game token.
+   */
+  canAfford: (amount: ArcaidWeiAmount, tokenAddress?: string) => Promise<boolean>;
+
+  /**
+   * Formats an amount in wei as a human-readable decimal, e.g. "1.5 ARC".
+   * @param wei The amount in wei.
+   * @param options Token decimals, ticker and precision.
+   */
+  formatAmount: (wei: ArcaidWeiAmount, options?: ArcaidFormatAmountOptions) => string;
+
+  /**
+   * Parses a human-readable decimal amount (e.g. "1.5") into wei, without floating-point error.
+   * @param amount The decimal amount as a string, or a whole number of tokens as a number (a safe integer).
+   * @param options Token decimals. Defaults to 18.
+   * @returns The amount in wei. Throws an ArcaidValidationError for malformed input.
+   */
+  parseAmount: (amount: string | number, options?: { decimals?: number }) => bigint;
+}
+
+/**
+ * Host features a game can use through the Utils module.
+ */
+export type ArcaidCapability = 'environment' | 'fullscreen' | 'share' | 'toast' | 'externalUrl';
+
+/**
+ * Where the game runs, as reported by the host.
+ */
+export interface ArcaidEnvironment {
+  /** BCP 47 language tag, e.g. "en-US". */
+  locale: string;
+  deviceType: 'desktop' | 'mobile' | 'tablet';
+  theme: 'light' | 'dark';
+  /** Area at each edge of the game frame covered by notches, rounded corners or host UI, in CSS pixels. */
+  safeAreaInsets: { top: number; right: number; bottom: number; left: number };
+}
+
+export interface ArcaidShareContent {
+  text?: string;
+  /** Must be an http(s) URL. */
+  url?: string;
+  title?: string;
+}
+
+export interface ArcaidToastOptions extends ArcaidRequestOptions {
+  /** Defaults to 'info'. */
+  type?: 'info' | 'success' | 'warning' | 'error';
+  /** How long to show the toast. Defaults to the host's default. */
+  durationMs?: number;
 }
 
 /**
- * Defines the structure of the Arcaid Utils module.
- * (Current core implementation is a placeholder)
+ * Defines the structure of the Arcaid Utils module: services only the host page can provide.
+ * Methods for features the host doesn't support reject with an UNSUPPORTED error.
  */
 export interface ArcaidUtilsModule {
-  // Define utility methods as they are developed
-  // e.g., performSomeUtility: () => any;
+  /**
+   * Lists the host features available to the game. Hosts that don't report any are treated as supporting none.
+   */
+  getCapabilities: (options?: ArcaidRetryableRequestOptions) => Promise<ArcaidCapability[]>;
+
+  /** Checks whether the host supports a feature. */
+  isSupported: (capability: ArcaidCapability, options?: ArcaidRetryableRequestOptions) => Promise<boolean>;
+
+  /**
+   * Returns the locale, device type, theme and safe-area insets. Falls back to what the game's frame can
+   * detect itself (with zero insets) when the host doesn't report the environment.
+   */
+  getEnvironment: (options?: ArcaidRetryableRequestOptions) => Promise<ArcaidEnvironment>;
+
+  /**
+   * Registers a callback for environment changes reported by the host, e.g. after the device was rotated.
+   * @returns A function to unsubscribe the listener.
+   */
+  onEnvironmentChanged: (callback: (environment: ArcaidEnvironment) => void) => () => void;
+
+  /**
+   * Asks the host to show the game fullscreen. Call it from a user gesture such as a click.
+   * @returns Whether the game is now fullscreen.
+   */
+  requestFullscreen: (options?: ArcaidRequestOptions) => Promise<boolean>;
+
+  /**
+   * Opens the host's share sheet.
+   * @returns False if the player cancelled.
+   */
+  share: (content: ArcaidShareContent, options?: ArcaidRequestOptions) => Promise<boolean>;
+
+  /** Shows a short notification in the host UI. */
+  showToast: (message: string, options?: ArcaidToastOptions) => Promise<void>;
+
+  /**
+   * Opens an http(s) URL outside the game. The host may ask the player first.
+   * @returns Whether the URL was opened.
+   */
+  openExternalUrl: (url: string, options?: ArcaidRequestOptions) => Promise<boolean>;
+}
+
+/**
+ * Why the game was paused: 'hidden' when its tab was hidden, otherwise the host's reason (e.g. 'menu'),
+ * or 'host' if it gave none.
+ */
+export type ArcaidPauseReason = 'hidden' | 'host' | (string & {});
+
+/**
+ * Defines the structure of the Arcaid Lifecycle module: pause and mute signals from the host,
+ * and loading progress and readiness reported by the game.
+ */
+export interface ArcaidLifecycleModule {
+  /** Whether the game should be paused: the host paused it, or its tab is hidden. */
+  readonly isPaused: boolean;
+
+  /** Whether the player muted the game in the host UI. */
+  readonly isMuted: boolean;
+
+  /**
+   * Registers a callback for when the game should pause.
+   * @returns A function to unsubscribe the listener.
+   */
+  onPause: (callback: (event: { reason: ArcaidPauseReason }) => void) => () => void;
+
+  /**
+   * Registers a callback for when the game may continue, once every pause reason has ended.
+   * @returns A function to unsubscribe the listener.
+   */
+  onResume: (callback: (event: { reason: ArcaidPauseReason }) => void) => () => void;
+
+  /**
+   * Registers a callback for when the player mutes or unmutes the game in the host UI.
+   * @returns A function to unsubscribe the listener.
+   */
+  onMuteChanged: (callback: (event: { muted: boolean }) => void) => () => void;
+
+  /**
+   * Reports loading progress from 0 to 1 for the host's loading screen. Reports that don't advance
+   * by at least 1% are not sent, so it can be called every frame.
+   */
+  reportLoadingProgress: (progress: number) => void;
+
+  /**
+   * Tells the host the game is playable. Later calls do nothing.
+   * @returns A promise that resolves once the host acknowledged it, or failed to; it never rejects.
+   */
+  gameReady: () => Promise<void>;
+}
+
+/**
+ * A cloud save entry.
+ */
+export interface ArcaidStorageEntry<T = any> {
+  key: string;
+  value: T;
+  /** Incremented by the platform on every write. Null for a local write that hasn't been synced yet to a new key. */
+  version: number | null;
+  updatedAt: number | null;
+  /** The entry holds a local write that hasn't reached the platform yet. */
+  pending: boolean;
+  /** The platform couldn't be reached, so the entry was read from the local cache. */
+  fromCache: boolean;
+  /** Set on a pending delete. */
+  deleted?: boolean;
+}
+
+export interface ArcaidStorageWriteOptions extends ArcaidRequestOptions {
+  /** Only write if the entry is at this version; null means only if it doesn't exist. Rejects with CONFLICT otherwise. */
+  expectedVersion?: number | null;
+}
+
+export interface ArcaidStorageListOptions extends ArcaidRetryableRequestOptions {
+  prefix?: string;
+  limit?: number;
+  cursor?: string;
+}
+
+export interface ArcaidStorageListResult {
+  entries: Array<{ key: string; version: number | null; updatedAt: number | null }>;
+  nextCursor: string | null;
+  fromCache: boolean;
+}
+
+/**
+ * A queued write rejected during sync because the entry changed on the platform meanwhile.
+ */
+export interface ArcaidStorageConflict {
+  key: string;
+  /** The value that was not written; null for a delete. */
+  localValue: any;
+  deleted: boolean;
+  remoteValue: any;
+  remoteVersion: number | null;
+  error: ArcaidError;
+}
+
+/**
+ * Defines the structure of the Arcaid Storage module: cloud saves per game and logged-in player.
+ * Writes go through a local cache; while the platform can't be reached they are queued and synced later.
+ * Guests have no cloud saves; calls reject with UNAUTHORIZED.
+ */
+export interface ArcaidStorageModule {
+  /**
+   * Reads an entry, or the cached entry when the platform can't be reached.
+   * @returns The entry, or null if the key doesn't exist.
+   */
+  get: <T = any>(key: string, options?: ArcaidRetryableRequestOptions) => Promise<ArcaidStorageEntry<T> | null>;
+
+  /**
+   * Writes a JSON-serializable value. Keys are limited to 128 characters and values to 64 KiB of JSON by default;
+   * larger ones reject with STORAGE_LIMIT_EXCEEDED.
+   */
+  set: <T = any>(key: string, value: T, options?: ArcaidStorageWriteOptions) => Promise<ArcaidStorageEntry<T>>;
+
+  delete: (key: string, options?: ArcaidStorageWriteOptions) => Promise<{ key: string; pending: boolean }>;
+
+  /** Lists keys without their values, or the cached keys when the platform can't be reached. */
+  list: (options?: ArcaidStorageListOptions) => Promise<ArcaidStorageListResult>;
+
+  /** The number of writes not yet synced to the platform. */
+  readonly pendingWrites: number;
+
+  /**
+   * Sends the queued writes now. The SDK also syncs on its own when the platform becomes reachable again.
+   * Rejects if the platform still can't be reached.
+   */
+  sync: () => Promise<void>;
+
+  /**
+   * Registers a callback for queued writes dropped during sync because of a conflict.
+   * @returns A function to unsubscribe the listener.
+   */
+  onConflict: (callback: (conflict: ArcaidStorageConflict) => void) => () => void;
 }
 
 /**
@@ -100,6 +869,7 @@ export interface ArcaidRoomDetails {
   name?: string;
   metadata?: any;
   sessionId?: string; // Player's session ID within the room
+  reconnectToken?: string; // Stored by the SDK to rejoin the room automatically
 }
 
 /**
@@ -157,6 +927,36 @@ export interface ArcaidRoomUpdatePayload {
   hostUserId: string;
   roomDocId: string;
   bets: ArcaidRoomBet[];
+  /** Monotonic state version, if the platform sends incremental patches. */
+  version?: number;
+}
+
+/**
+ * A JSON-patch (RFC 6902) operation applied to the room state.
+ */
+export type ArcaidJsonPatchOperation =
+  | { op: 'add' | 'replace' | 'test'; path: string; value: any }
+  | { op: 'remove'; path: string }
+  | { op: 'move' | 'copy'; from: string; path: string };
+
+/**
+ * Payload of MULTIPLAYER_ROOM_PATCH_EVENT, an incremental room update.
+ */
+export interface ArcaidRoomPatchPayload {
+  roomId: string;
+  patch: ArcaidJsonPatchOperation[];
+  /** Version the patch applies to. The SDK resyncs the full state on a mismatch. */
+  baseVersion?: number;
+  /** Version of the state after the patch. */
+  version?: number;
+}
+
+/**
+ * Payload for the onHostChanged event.
+ */
+export interface ArcaidHostChangedPayload {
+  previousHostUserId: string | null;
+  hostUserId: string | null;
 }
 
 /**
@@ -172,7 +972,126 @@ export interface ArcaidGameStartedPayload {
  */
 export interface ArcaidGameFinishedPayload {
   roomId: string;
-  results?: any; // Game results
+  /** The result submitted by the host with submitResult(). */
+  results?: ArcaidGameResult;
+  /** The settlement of the room's bets, if the room is wagered and it is already known. */
+  settlement: ArcaidSettlement | null;
+}
+
+/**
+ * Result submitted by the host through multiplayer.submitResult().
+ */
+export interface ArcaidResultInput {
+  /** User IDs of the players, best first. */
+  rankings: string[];
+  /** Scores by user ID. */
+  scores?: Record<string, number>;
+  /** Data the platform can verify the result with, e.g. a hash of the input log. */
+  proof?: any;
+}
+
+/**
+ * A game result as announced to every player.
+ */
+export interface ArcaidGameResult extends ArcaidResultInput {
+  resultId: string;
+  scores: Record<string, number>;
+  submittedBy: string;
+  submittedAt: string;
+}
+
+export interface ArcaidResultSubmission {
+  resultId: string;
+  status: ArcaidSettlementStatus;
+  /** ISO timestamp until which players can dispute the result. */
+  disputeWindowEndsAt: string | null;
+}
+
+/**
+ * 'pending' while the result can be disputed, 'disputed' while the platform reviews it,
+ * then 'settled' with the payouts, or 'refunded' with every bet returned.
+ */
+export type ArcaidSettlementStatus = 'pending' | 'disputed' | 'settled' | 'refunded';
+
+export interface ArcaidSettlementPayout {
+  userId: string;
+  /** Amount in wei, as a decimal string. */
+  amount: string;
+  type: 'payout' | 'refund';
+  /** Hash of the settlement transaction. */
+  txHash: string;
+}
+
+/**
+ * How a wagered room's bets were (or will be) settled.
+ */
+export interface ArcaidSettlement {
+  roomId: string;
+  /** The result the settlement is based on; null if none arrived. */
+  resultId: string | null;
+  status: ArcaidSettlementStatus;
+  /**
+   * Why the bets were refunded or held: 'disputed', 'timeout' (no result in time) or 'hostLeft'
+   * (the host left mid-game). Null for a regular settlement.
+   */
+  reason: 'disputed' | 'timeout' | 'hostLeft' | (string & {}) | null;
+  disputeWindowEndsAt: string | null;
+  payouts: ArcaidSettlementPayout[];
+  settledAt: string | null;
+}
+
+/**
+ * Result of multiplayer.submitInput() once the platform accepted the input.
+ */
+export interface ArcaidSubmittedInput {
+  /** The client sequence number the SDK assigned to the input, counting from 1 per room. */
+  clientSeq: number;
+  /** The input's place in the room's input order, if the platform already committed it. */
+  sequence: number | null;
+  tick: number | null;
+}
+
+/**
+ * An input committed by the platform, delivered through onInputCommitted in sequence order.
+ */
+export interface ArcaidCommittedInput<T = any> {
+  roomId: string;
+  /** Position in the room's input order, assigned by the platform. Consecutive, without gaps. */
+  sequence: number;
+  /** The platform's tick or turn the input belongs to. */
+  tick: number | null;
+  playerId: string | null;
+  /** The submitting client's sequence number, for matching own inputs. */
+  clientSeq: number | null;
+  input: T;
+  /** True for inputs submitted by this player. */
+  isLocal: boolean;
+}
+
+/**
+ * An own input that was submitted but not yet committed.
+ */
+export interface ArcaidPendingInput<T = any> {
+  clientSeq: number;
+  input: T;
+}
+
+/**
+ * Hooks for client-side prediction of own inputs, see multiplayer.setInputPrediction().
+ */
+export interface ArcaidInputPrediction<T = any> {
+  /** Applies an own input to the predicted state. Called on submit and to re-apply pending inputs after a rollback. */
+  predict: (input: T, meta: { clientSeq: number }) => void;
+  /**
+   * Resets the predicted state to the authoritative state. The SDK then calls predict() for each pending input.
+   * 'reordered': an input was committed out of the predicted order; called after onInputCommitted listeners.
+   * 'rejected': the platform rejected an own input.
+   */
+  rollback: (info: {
+    reason: 'reordered' | 'rejected';
+    pending: ArcaidPendingInput<T>[];
+    rejected?: ArcaidPendingInput<T> & { error: ArcaidError };
+  }) => void;
 }
 
 /**
@@ -180,27 +1099,238 @@ export interface ArcaidGameFinishedPayload {
  */
 export interface ArcaidRoomErrorPayload {
   roomId?: string; // May not always be present if error is not room-specific
-  code: number;
+  code: number; // 4400 for an incoming message that failed validation
   message?: string;
+  messageType?: string; // Set for invalid messages
+  senderId?: string | null; // Set for invalid messages
+}
+
+/**
+ * Map of room message types to their data, for typed send()/onMessage().
+ * Augment it in your game to get type checking:
+ *
+ * ```ts
+ * declare module '@arcaid/sdk' {
+ *   interface ArcaidRoomMessages {
+ *     move: { x: number; y: number };
+ *   }
+ * }
+ * ```
+ */
+export interface ArcaidRoomMessages {}
+
+/** Data type of a room message: from ArcaidRoomMessages if declared there, otherwise any. */
+export type ArcaidRoomMessageData<K extends string> = K extends keyof ArcaidRoomMessages ? ArcaidRoomMessages[K] : any;
+
+/**
+ * Validates room message data: a predicate returning false (or throwing) for invalid data,
+ * or a schema whose `parse()` throws for invalid data and returns the parsed value.
+ */
+export type ArcaidMessageValidator<T = any> =
+  | ((data: unknown) => boolean | void)
+  | { parse: (data: unknown) => T };
+
+/**
+ * Options for multiplayer.defineMessage().
+ */
+export interface ArcaidDefineMessageOptions {
+  /** 'report' (default) also calls onRoomError listeners for invalid incoming messages; 'drop' drops them silently. */
+  onInvalid?: 'report' | 'drop';
+}
+
+/**
+ * Options for multiplayer.send().
+ */
+export interface ArcaidSendOptions {
+  /** Wait for the platform to acknowledge delivery. */
+  ack?: boolean;
+  /** How long to wait for the acknowledgement, in milliseconds. */
+  timeout?: number;
+  /** Stops waiting for the acknowledgement. */
+  signal?: AbortSignal;
+}
+
+/**
+ * Delivery acknowledgement returned by multiplayer.send() with `ack: true`.
+ */
+export interface ArcaidSendAckPayload {
+  delivered: boolean;
+  /** Number of players the message was delivered to. */
+  recipients?: number;
+}
+
+/**
+ * Options for multiplayer.request().
+ */
+export interface ArcaidRoomRequestOptions {
+  /** How long to wait for the reply, in milliseconds. Defaults to 10000. */
+  timeout?: number;
+  /** Cancels the request; it then rejects with a CANCELLED error and a late reply is ignored. */
+  signal?: AbortSignal;
+  /** User ID of the peer that should answer, e.g. the host. Defaults to any peer. */
+  to?: string;
+}
+
+/**
+ * Metadata passed to onMessage listeners.
+ */
+export interface ArcaidRoomMessageMeta {
+  senderId: string | null;
+  correlationId: string | null;
+}
+
+/**
+ * Payload of MULTIPLAYER_ROOM_MESSAGE_EVENT.
+ * `kind` distinguishes plain messages from request/reply pairs, which share a correlationId.
+ */
+export interface ArcaidRoomMessagePayload {
+  messageType: string;
+  messageData: any;
+  kind?: 'message' | 'request' | 'response';
+  correlationId?: string;
+  senderId?: string | null;
+  /** Set on a response when the handler threw. */
+  error?: { code: ArcaidErrorCode; message: string };
+}
+
+/**
+ * Payload for the onReconnecting event, emitted before each reconnect attempt.
+ */
+export interface ArcaidReconnectingPayload {
+  roomId: string;
+  attempt: number;
+  maxAttempts: number;
+  /** Delay before this attempt is made, in milliseconds. */
+  delayMs: number;
+}
+
+/**
+ * Payload for the onDisconnected event.
+ */
+export interface ArcaidDisconnectedPayload {
+  /** Why the connection was lost, e.g. a platform reason or "reconnect_failed". */
+  reason?: string;
+  code?: number;
+  /** Whether the SDK will try to reconnect automatically. */
+  willReconnect: boolean;
+  /** The last reconnect error, when reason is "reconnect_failed". */
+  error?: ArcaidError;
+}
+
+/**
+ * What findMatch() looks for.
+ */
+export interface ArcaidMatchCriteria {
+  roomType: string;
+  /** Only match rooms with this bet amount, as in ArcaidAvailableRoom metadata. */
+  betAmount?: number | string | bigint;
+  /** Only match rooms for this many players. */
+  maxPlayers?: number;
+  /** How long to wait in the queue, in milliseconds. Defaults to 30000. */
+  timeoutMs?: number;
+  /** Create a room with these criteria when nothing fits. Defaults to true; if false, findMatch rejects with TIMEOUT. */
+  createRoomIfNoMatch?: boolean;
+  /** Extra options for the created room, as for createRoom. */
+  roomOptions?: Record<string, any>;
+}
+
+export type ArcaidMatchmakingStatusType = 'queued' | 'position' | 'matched' | 'cancelled';
+
+export interface ArcaidMatchmakingStatus {
+  ticketId: string;
+  status: ArcaidMatchmakingStatusType;
+  /** Position in the queue, if the platform reports it. */
+  position: number | null;
+  /** The joined or created room, on 'matched'. */
+  room: ArcaidRoomDetails | null;
+  /** True on 'matched' if no match was found and a room was created instead. */
+  created: boolean;
+  /** Why the search ended, on 'cancelled'. */
+  reason: 'cancelled' | 'timeout' | 'noMatch' | 'platform' | 'error' | null;
 }
 
 /**
  * Defines the structure of the Arcaid Multiplayer module.
  */
 export interface ArcaidMultiplayerModule {
-  createRoom: (roomType: string, options: any) => Promise<ArcaidRoomDetails>;
-  joinRoom: (roomId: string, options?: any) => Promise<ArcaidRoomDetails>;
-  getAvailableRooms: (roomType?: string) => Promise<ArcaidAvailableRoom[]>;
-  leaveRoom: () => Promise<void>;
-  startGame: () => Promise<void>; // For host/logic to start the game
-  reconnect: (reconnectToken: string) => Promise<ArcaidRoomDetails>;
+  createRoom: (roomType: string, options: any, requestOptions?: ArcaidRequestOptions) => Promise<ArcaidRoomDetails>;
+  joinRoom: (roomId: string, options?: any, requestOptions?: ArcaidRequestOptions) => Promise<ArcaidRoomDetails>;
+  getAvailableRooms: (roomType?: string, options?: ArcaidRetryableRequestOptions) => Promise<ArcaidAvailableRoom[]>;
+
+  /**
+   * Enters the platform's matchmaking queue and resolves with the room the player was matched into.
+   * If nothing fits, a room with the criteria is created instead. Rejects with CANCELLED if cancelled.
+   */
+  findMatch: (criteria: ArcaidMatchCriteria, options?: ArcaidRequestOptions) => Promise<ArcaidRoomDetails>;
+
+  /**
+   * Leaves the matchmaking queue.
+   * @returns False if there was no search, or the player had already been matched.
+   */
+  cancelMatchmaking: (options?: ArcaidRequestOptions) => Promise<boolean>;
+
+  /**
+   * Registers a callback for the progress of findMatch().
+   * @returns A function to unsubscribe the listener.
+   */
+  onMatchmakingStatus: (callback: (status: ArcaidMatchmakingStatus) => void) => () => void;
+
+  leaveRoom: (options?: ArcaidRequestOptions) => Promise<void>;
+  startGame: (options?: ArcaidRequestOptions) => Promise<void>; // For host/logic to start the game
+  reconnect: (reconnectToken: string, options?: ArcaidRequestOptions) => Promise<ArcaidRoomDetails>;
+
+  /**
+   * The latest known state of the current room, kept up to date from room updates and patches.
+   * Read-only; null until the first room update arrives.
+   */
+  readonly room: ArcaidRoomUpdatePayload | null;
 
   /**
    * Sends a message to the current room. Fire-and-forget.
    * @param messageType A string identifying the type of message.
    * @param messageData The data payload of the message.
    */
-  send: (messageType: string, messageData: any) => void;
+  send<K extends string>(messageType: K, messageData: ArcaidRoomMessageData<K>): void;
+  /**
+   * Sends a message to the current room and waits for the platform to acknowledge delivery.
+   * @param messageType A string identifying the type of message.
+   * @param messageData The data payload of the message.
+   * @param options Set `ack: true` to wait for the acknowledgement.
+   * @returns A promise that resolves with the delivery acknowledgement.
+   */
+  send<K extends string>(messageType: K, messageData: ArcaidRoomMessageData<K>, options: ArcaidSendOptions & { ack: true }): Promise<ArcaidSendAckPayload>;
+  send<K extends string>(messageType: K, messageData: ArcaidRoomMessageData<K>, options?: ArcaidSendOptions): void | Promise<ArcaidSendAckPayload>;
+
+  /**
+   * Sends a request to the room and waits for a peer's reply.
+   * @param messageType A string identifying the type of request.
+   * @param messageData The data payload of the request.
+   * @param options Optional timeout and target peer.
+   * @returns A promise that resolves with the reply data, or rejects with the handler's error
+   *   or an ArcaidTimeoutError.
+   */
+  request: <TResponse = any, K extends string = string>(messageType: K, messageData: ArcaidRoomMessageData<K>, options?: ArcaidRoomRequestOptions) => Promise<TResponse>;
+
+  /**
+   * Registers the handler that answers room requests of a type. Only one handler per type is allowed.
+   * The handler's return value is sent back as the reply; a thrown error rejects the requester's promise.
+   * @param messageType The request type to serve.
+   * @param handler Function called with the request data and sender info.
+   * @returns A function to unregister the handler.
+   */
+  handle: <K extends string>(messageType: K, handler: (data: ArcaidRoomMessageData<K>, meta: { senderId: string | null }) => any | Promise<any>) => () => void;
+
+  /**
+   * Registers a validator for a room message type.
+   * Outgoing send()/request() calls with invalid data throw an ArcaidValidationError.
+   * Invalid incoming messages are dropped and, unless `onInvalid` is 'drop', reported to onRoomError
+   * with code 4400.
+   * @param messageType The message type to validate.
+   * @param validator A predicate, or a schema with a throwing `parse()` method (e.g. a zod schema).
+   * @param options What to do with invalid incoming messages.
+   * @returns A function to remove the definition.
+   */
+  defineMessage: <K extends string>(messageType: K, validator: ArcaidMessageValidator<ArcaidRoomMessageData<K>>, options?: ArcaidDefineMessageOptions) => () => void;
 
   // Event listeners - each returns an unsubscribe function
 
@@ -211,15 +1341,67 @@ export interface ArcaidMultiplayerModule {
    */
   onRoomUpdate: (callback: (payload: ArcaidRoomUpdatePayload) => void) => () => void;
 
+  /**
+   * Registers a callback for players joining the room.
+   * On the first room update, every player already in the room is reported.
+   * @returns A function to unsubscribe the listener.
+   */
+  onPlayerJoined: (callback: (player: ArcaidRoomPlayer, room: ArcaidRoomUpdatePayload) => void) => () => void;
+
+  /**
+   * Registers a callback for players leaving the room.
+   * @returns A function to unsubscribe the listener.
+   */
+  onPlayerLeft: (callback: (player: ArcaidRoomPlayer, room: ArcaidRoomUpdatePayload) => void) => () => void;
+
+  /**
+   * Registers a callback for changes of the room host.
+   * @returns A function to unsubscribe the listener.
+   */
+  onHostChanged: (callback: (payload: ArcaidHostChangedPayload, room: ArcaidRoomUpdatePayload) => void) => () => void;
+
+  /**
+   * Registers a callback for each new bet in the room.
+   * @returns A function to unsubscribe the listener.
+   */
+  onBetPlaced: (callback: (bet: ArcaidRoomBet, room: ArcaidRoomUpdatePayload) => void) => () => void;
+
+  /**
+   * Registers a callback for changes of the room timer.
+   * @returns A function to unsubscribe the listener.
+   */
+  onTimerTick: (callback: (timeLeft: number, room: ArcaidRoomUpdatePayload) => void) => () => void;
+
+  /**
+   * Submits an input to the current room. The platform orders the inputs of all players and announces each one,
+   * including this player's own, through onInputCommitted.
+   * @returns Resolves once the platform accepted the input; rejects if it was rejected.
+   */
+  submitInput: <T = any>(input: T, options?: ArcaidRequestOptions) => Promise<ArcaidSubmittedInput>;
+
+  /**
+   * Registers a callback for inputs committed by the platform, from every player, in sequence order.
+   * Each input is delivered exactly once; missed inputs are fetched from the platform.
+   * @returns A function to unsubscribe the listener.
+   */
+  onInputCommitted: <T = any>(callback: (input: ArcaidCommittedInput<T>) => void) => () => void;
+
+  /**
+   * Enables client-side prediction for submitInput(), or disables it with null.
+   */
+  setInputPrediction: <T = any>(hooks: ArcaidInputPrediction<T> | null) => void;
+
   /**
    * Registers a callback for messages sent within the room.
    * @param messageType The specific message type to listen for, or "*" to listen for all message types.
    * @param callback Function to call when a message is received.
    *   - If messageType is specific (e.g., "PLAYER_MOVE"), the callback receives `messageData`.
    *   - If messageType is "*", the callback receives an object `{ type: string, data: any }`.
+   *   The second argument holds the sender and the message's correlation ID.
    * @returns A function to unsubscribe the listener.
    */
-  onMessage: (messageType: string | "*", callback: (data: any) => void) => () => void;
+  onMessage(messageType: "*", callback: (message: { type: string; data: any }, meta: ArcaidRoomMessageMeta) => void): () => void;
+  onMessage<K extends string>(messageType: K, callback: (data: ArcaidRoomMessageData<K>, meta: ArcaidRoomMessageMeta) => void): () => void;
 
   /**
    * Registers a callback for when a game starts in the room.
@@ -235,12 +1417,52 @@ export interface ArcaidMultiplayerModule {
    */
   onGameFinished: (callback: (payload: ArcaidGameFinishedPayload) => void) => () => void;
 
+  /**
+   * Submits the game's result from the host. Every player receives it through onGameFinished; in wagered rooms
+   * the bets are settled once the dispute window has passed.
+   */
+  submitResult: (result: ArcaidResultInput, options?: ArcaidRequestOptions) => Promise<ArcaidResultSubmission>;
+
+  /** Disputes the current room's result while its dispute window is open. */
+  disputeResult: (reason: string, options?: ArcaidRequestOptions) => Promise<ArcaidSettlement | null>;
+
+  /** Fetches the settlement of a room's bets (the current room by default), or null if there is none yet. */
+  getSettlement: (roomId?: string, options?: ArcaidRetryableRequestOptions) => Promise<ArcaidSettlement | null>;
+
+  /**
+   * Registers a callback for changes to a room's settlement.
+   * @returns A function to unsubscribe the listener.
+   */
+  onSettlement: (callback: (settlement: ArcaidSettlement) => void) => () => void;
+
   /**
    * Registers a callback for errors occurring in the multiplayer room or system.
    * @param callback Function to call when a room error event is received.
    * @returns A function to unsubscribe the listener.
    */
   onRoomError: (callback: (payload: ArcaidRoomErrorPayload) => void) => () => void;
+
+  /**
+   * Registers a callback for each automatic reconnect attempt.
+   * @param callback Function to call before an attempt is made.
+   * @returns A function to unsubscribe the listener.
+   */
+  onReconnecting: (callback: (payload: ArcaidReconnectingPayload) => void) => () => void;
+
+  /**
+   * Registers a callback for when the SDK has rejoined the room automatically.
+   * @param callback Function to call with the rejoined room.
+   * @returns A function to unsubscribe the listener.
+   */
+  onReconnected: (callback: (room: ArcaidRoomDetails) => void) => () => void;
+
+  /**
+   * Registers a callback for when the connection to the room is lost,
+   * and again if automatic reconnection gives up.
+   * @param callback Function to call when disconnected.
+   * @returns A function to unsubscribe the listener.
+   */
+  onDisconnected: (callback: (payload: ArcaidDisconnectedPayload) => void) => () => void;
 }
 
 /**
@@ -248,17 +1470,45 @@ export interface ArcaidMultiplayerModule {
  */
 export interface ArcaidSDKInstance {
   /**
-   * A promise that resolves when the SDK is fully ready, particularly
-   * after receiving the complete user session from the platform.
+   * A promise that resolves when the SDK is fully ready, i.e. after receiving the
+   * platform config, for logged-in players and guests alike.
    * ALWAYS await this before using features dependent on a full user session.
    */
   ready: () => Promise<void>;
 
+  /**
+   * Tears the instance down: stops listening to the platform, rejects pending requests
+   * with a CANCELLED error and removes all module listeners. Prefer Arcaid.destroy(),
+   * which also lets Arcaid.init() be called again.
+   */
+  dispose: () => void;
+
+  /**
+   * Adds middleware around requests to and messages from the platform,
+   * e.g. for logging, metrics, payload redaction or test stubs. Middleware added first runs outermost.
+   * @returns A function that removes the middleware.
+   */
+  use: (middleware: ArcaidMiddleware) => () => void;
+
+  /**
+   * Starts recording every request to and message from the platform, with timing, for replay with
+   * Arcaid.transports.ReplayTransport. Start right after init for a complete trace; restarting discards the current one.
+   */
+  startRecording: (options?: ArcaidRecordingOptions) => void;
+
+  /**
+   * Stops recording.
+   * @returns The trace, or null if nothing was being recorded.
+   */
+  stopRecording: () => ArcaidTrace | null;
+
   auth: ArcaidAuthModule;
   stats: ArcaidStatsModule;
   payments: ArcaidPaymentsModule;
   wallet: ArcaidWalletModule;
   utils: ArcaidUtilsModule;
+  storage: ArcaidStorageModule;
+  lifecycle: ArcaidLifecycleModule;
   multiplayer: ArcaidMultiplayerModule;
 
   // getGameId: () => string | null; // Example if gameId needs to be exposed
@@ -276,6 +1526,24 @@ declare global {
        * @returns A promise that resolves with the ArcaidSDKInstance.
        */
       init: (config?: ArcaidClientInitConfig) => Promise<ArcaidSDKInstance>;
+      /**
+       * Disposes the instance created by init() and resets the loader so init() can be called again.
+       */
+      destroy: () => Promise<void>;
+      ArcaidError: typeof ArcaidError;
+      ArcaidSecurityError: typeof ArcaidSecurityError;
+      ArcaidLoadError: typeof ArcaidLoadError;
+      /** The built-in transports, for composing custom ones. */
+      transports: {
+        PostMessageTransport: new (targetWindow: Window, targetOrigin: string, name?: string) => ArcaidTransport;
+        MessagePortTransport: new (port?: MessagePort) => ArcaidTransport;
+        WebSocketTransport: new (url: string, protocols?: string | string[]) => ArcaidTransport;
+        ReplayTransport: new (trace: ArcaidTrace, options?: ArcaidReplayOptions) => ArcaidReplayTransport;
+      };
+      // The classes below are available once init() has loaded the core SDK.
+      ArcaidTimeoutError?: typeof ArcaidTimeoutError;
+      ArcaidValidationError?: typeof ArcaidValidationError;
+      ArcaidPlatformError?: typeof ArcaidPlatformError;
     };
   }
 }
@@ -305,6 +1573,8 @@ export interface ArcaidPlayerUser {
   lastLogin: string;
   uid: string;
   address: string;
+  displayName?: string | null;
+  avatarUrl?: string | null;
   linkedAccounts: ArcaidPlayerLinkedAccount[];
   updatedAt: string;
 }